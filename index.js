@@ -1,5 +1,30 @@
+/**
+ * @typedef {import('./lib/index.js').AttributeId} AttributeId
+ * @typedef {import('./lib/span.js').BracketedSpan} BracketedSpan
+ * @typedef {import('./lib/index.js').DefaultAttributes} DefaultAttributes
+ * @typedef {import('./lib/index.js').DocumentOptions} DocumentOptions
+ * @typedef {import('./lib/index.js').DocumentWrapper} DocumentWrapper
+ * @typedef {import('./lib/index.js').ElementOptions} ElementOptions
+ * @typedef {import('./lib/figure.js').Figure} Figure
+ * @typedef {import('./lib/figure.js').FigureCaption} FigureCaption
+ * @typedef {import('./lib/figure.js').FigureInfo} FigureInfo
+ * @typedef {import('./lib/index.js').FigureOptions} FigureOptions
+ * @typedef {import('./lib/from-hast.js').FromHastOptions} FromHastOptions
+ * @typedef {import('./lib/index.js').HeadingId} HeadingId
+ * @typedef {import('./lib/index.js').MergeStrategy} MergeStrategy
+ * @typedef {import('./lib/index.js').Options} Options
+ * @typedef {import('./lib/index.js').SafeOptions} SafeOptions
+ * @typedef {import('./lib/index.js').Section} Section
+ * @typedef {import('./lib/strip.js').StripOptions} StripOptions
+ * @typedef {import('./lib/restore.js').RestoreOptions} RestoreOptions
+ * @typedef {import('./lib/index.js').Rewrite} Rewrite
+ */
+
+export {attributesFromHast} from './lib/from-hast.js'
 export {
   default,
   remarkAttributesParse,
   remarkAttributesTransform
 } from './lib/index.js'
+export {remarkAttributesRestore} from './lib/restore.js'
+export {remarkAttributesStrip} from './lib/strip.js'
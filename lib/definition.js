@@ -0,0 +1,282 @@
+/**
+ * @import {Definition} from 'mdast'
+ * @import {MdastAttributes} from './index.js'
+ * @import {Extension as FromMarkdownExtension} from 'mdast-util-from-markdown'
+ * @import {Handle, Options as ToMarkdownExtension} from 'mdast-util-to-markdown'
+ * @import {Construct, Extension, State, TokenType, TokenizeContext, Tokenizer} from 'micromark-util-types'
+ */
+
+import {attributesFromMarkdown} from 'mdast-util-attributes'
+import {fromMarkdown} from 'mdast-util-from-markdown'
+import {defaultHandlers} from 'mdast-util-to-markdown'
+import {attributes} from 'micromark-extension-attributes'
+import {factoryDestination} from 'micromark-factory-destination'
+import {factoryLabel} from 'micromark-factory-label'
+import {factorySpace} from 'micromark-factory-space'
+import {factoryTitle} from 'micromark-factory-title'
+import {factoryWhitespace} from 'micromark-factory-whitespace'
+import {markdownLineEnding, markdownLineEndingOrSpace, markdownSpace} from 'micromark-util-character'
+import {normalizeIdentifier} from 'micromark-util-normalize-identifier'
+import {codes, types} from 'micromark-util-symbol'
+import {serializeAttributes} from './serialize.js'
+
+/**
+ * Token for the attribute block of a definition (`{target="_blank"}`).
+ * @type {TokenType}
+ */
+const definitionAttributesType = /** @type {TokenType} */ (
+  /** @type {unknown} */ ('definitionAttributes')
+)
+
+/** @type {Construct} */
+const definitionWithAttributes = {
+  name: 'definitionWithAttributes',
+  tokenize: tokenizeDefinitionWithAttributes
+}
+
+/** @type {Construct} */
+const titleBefore = {partial: true, tokenize: tokenizeTitleBefore}
+
+/**
+ * Create a micromark extension for attributes at the end of definitions
+ * (`[docs]: https://example.com {target="_blank"}`).
+ *
+ * The CommonMark definition construct doesn't allow anything after the
+ * title, so such lines would otherwise be paragraphs, and references to
+ * them would not resolve.
+ * This construct runs before it, and only matches definitions that end in
+ * attributes.
+ *
+ * @returns {Extension}
+ */
+export function definitionAttributes() {
+  return {contentInitial: {[codes.leftSquareBracket]: definitionWithAttributes}}
+}
+
+/**
+ * Create an mdast extension that stores the attributes of definitions in
+ * `data.mdastAttributes`, like code blocks.
+ *
+ * @returns {FromMarkdownExtension}
+ */
+export function definitionAttributesFromMarkdown() {
+  return {
+    exit: {
+      [definitionAttributesType]: function (token) {
+        const node = /** @type {Definition} */ (this.stack[this.stack.length - 1])
+        node.data = node.data || {}
+        node.data.mdastAttributes = parseAttributes(this.sliceSerialize(token))
+      }
+    }
+  }
+}
+
+/**
+ * Create an mdast extension that writes the attributes of definitions
+ * after them.
+ *
+ * @returns {ToMarkdownExtension}
+ */
+export function definitionAttributesToMarkdown() {
+  return {
+    handlers: {
+      definition: /** @type {Handle} */ (
+        function (node, parent, state, info) {
+          const definition = /** @type {Definition} */ (node)
+          const value = defaultHandlers.definition(definition, parent, state, info)
+          const attributes = definition.data?.mdastAttributes
+          return attributes && Object.keys(attributes).length > 0
+            ? value + ' ' + serializeAttributes(attributes)
+            : value
+        }
+      )
+    }
+  }
+}
+
+/**
+ * Parse an attribute block (`{#id .a .b key="value" key=value flag}`) into
+ * a record.
+ *
+ * This uses `micromark-extension-attributes` itself, so that attributes of
+ * definitions follow the same grammar as other attributes; blocks that it
+ * does not accept give no attributes.
+ *
+ * @param {string} value
+ * @returns {Record<string, string>}
+ */
+export function parseAttributes(value) {
+  const tree = fromMarkdown(value, {
+    extensions: [attributes()],
+    mdastExtensions: [attributesFromMarkdown()]
+  })
+  const paragraph = tree.children[0]
+  const node =
+    paragraph && paragraph.type === 'paragraph' && paragraph.children.length === 1
+      ? paragraph.children[0]
+      : undefined
+
+  return node && node.type === 'mdastAttributes'
+    ? {.../** @type {MdastAttributes} */ (node).attributes}
+    : {}
+}
+
+/**
+ * Tokenize a definition that ends in attributes; this mirrors the
+ * definition construct of `micromark-core-commonmark`.
+ *
+ * @this {TokenizeContext}
+ * @type {Tokenizer}
+ */
+function tokenizeDefinitionWithAttributes(effects, ok, nok) {
+  const self = this
+  /** @type {string} */
+  let identifier
+  /** @type {number | undefined} */
+  let quote
+
+  return start
+
+  /** @type {State} */
+  function start(code) {
+    effects.enter(types.definition)
+    return factoryLabel.call(
+      self,
+      effects,
+      labelAfter,
+      nok,
+      types.definitionLabel,
+      types.definitionLabelMarker,
+      types.definitionLabelString
+    )(code)
+  }
+
+  /** @type {State} */
+  function labelAfter(code) {
+    identifier = normalizeIdentifier(
+      self.sliceSerialize(self.events[self.events.length - 1][1]).slice(1, -1)
+    )
+
+    if (code === codes.colon) {
+      effects.enter(types.definitionMarker)
+      effects.consume(code)
+      effects.exit(types.definitionMarker)
+      return markerAfter
+    }
+
+    return nok(code)
+  }
+
+  /** @type {State} */
+  function markerAfter(code) {
+    return markdownLineEndingOrSpace(code)
+      ? factoryWhitespace(effects, destinationBefore)(code)
+      : destinationBefore(code)
+  }
+
+  /** @type {State} */
+  function destinationBefore(code) {
+    return factoryDestination(
+      effects,
+      destinationAfter,
+      nok,
+      types.definitionDestination,
+      types.definitionDestinationLiteral,
+      types.definitionDestinationLiteralMarker,
+      types.definitionDestinationRaw,
+      types.definitionDestinationString
+    )(code)
+  }
+
+  /** @type {State} */
+  function destinationAfter(code) {
+    return effects.attempt(titleBefore, attributesBefore, attributesBefore)(code)
+  }
+
+  /**
+   * After destination or title, at the space before the attributes.
+   * @type {State}
+   */
+  function attributesBefore(code) {
+    return markdownSpace(code)
+      ? factorySpace(effects, attributesStart, types.whitespace)(code)
+      : nok(code)
+  }
+
+  /** @type {State} */
+  function attributesStart(code) {
+    if (code !== codes.leftCurlyBrace) return nok(code)
+    effects.enter(definitionAttributesType)
+    effects.consume(code)
+    return attributesInside
+  }
+
+  /**
+   * In attributes; they can't span lines.
+   * @type {State}
+   */
+  function attributesInside(code) {
+    if (code === codes.eof || markdownLineEnding(code)) return nok(code)
+
+    if (quote) {
+      if (code === quote) quote = undefined
+    } else if (code === codes.quotationMark || code === codes.apostrophe) {
+      quote = code
+    } else if (code === codes.rightCurlyBrace) {
+      effects.consume(code)
+      effects.exit(definitionAttributesType)
+      return after
+    }
+
+    effects.consume(code)
+    return attributesInside
+  }
+
+  /** @type {State} */
+  function after(code) {
+    return markdownSpace(code)
+      ? factorySpace(effects, afterWhitespace, types.whitespace)(code)
+      : afterWhitespace(code)
+  }
+
+  /** @type {State} */
+  function afterWhitespace(code) {
+    if (code === codes.eof || markdownLineEnding(code)) {
+      effects.exit(types.definition)
+      self.parser.defined.push(identifier)
+      return ok(code)
+    }
+
+    return nok(code)
+  }
+}
+
+/**
+ * Tokenize an optional title, which can't be followed by the end of the
+ * line here, as attributes must come after it.
+ *
+ * @this {TokenizeContext}
+ * @type {Tokenizer}
+ */
+function tokenizeTitleBefore(effects, ok, nok) {
+  return titleBefore
+
+  /** @type {State} */
+  function titleBefore(code) {
+    return markdownLineEndingOrSpace(code)
+      ? factoryWhitespace(effects, beforeMarker)(code)
+      : nok(code)
+  }
+
+  /** @type {State} */
+  function beforeMarker(code) {
+    return factoryTitle(
+      effects,
+      ok,
+      nok,
+      types.definitionTitle,
+      types.definitionTitleMarker,
+      types.definitionTitleString
+    )(code)
+  }
+}
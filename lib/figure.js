@@ -0,0 +1,160 @@
+/**
+ * @import {Properties} from 'hast'
+ * @import {Image, Nodes, Paragraph, PhrasingContent} from 'mdast'
+ */
+
+/**
+ * @typedef Figure
+ *   Figure around an image (see the `dialect` and `figures` options).
+ * @property {'figure'} type
+ * @property {[Image] | [Image, FigureCaption]} children
+ * @property {{hName: 'figure', hProperties: Properties}} data
+ * @property {import('unist').Position} [position]
+ *
+ * @typedef FigureCaption
+ *   Caption of a figure.
+ * @property {'figureCaption'} type
+ * @property {Array<PhrasingContent>} children
+ * @property {{hName: 'figcaption', hProperties: Properties}} data
+ *
+ * @typedef FigureInfo
+ *   Info on a numbered figure, exposed as `file.data.figures`.
+ * @property {string | undefined} id
+ *   Id of the figure, to link to it.
+ * @property {number} number
+ *   Number of the figure, starting at `1`.
+ * @property {string} caption
+ *   Caption text (without label and number).
+ * @property {import('unist').Position | undefined} position
+ *   Place of the figure in the document.
+ */
+
+/**
+ * Get the image of a paragraph that contains nothing else (ignoring
+ * whitespace), as that's what can turn into a figure.
+ * @param {Paragraph} paragraph
+ * @returns {Image | undefined}
+ */
+export function getLoneImage(paragraph) {
+  const children = paragraph.children.filter(
+    (child) => !(child.type === 'text' && child.value.trim() === '')
+  )
+  const child = children.length === 1 ? children[0] : undefined
+  return child && child.type === 'image' ? child : undefined
+}
+
+/**
+ * Create a figure around an image.
+ *
+ * The `id` of the image moves to the figure, so that links point to the
+ * whole figure; other properties stay on the image.
+ * @param {Image} image
+ * @param {Array<PhrasingContent> | undefined} caption
+ * @param {Properties} [captionProperties]
+ * @returns {Figure}
+ */
+export function createFigure(image, caption, captionProperties) {
+  /** @type {Properties} */
+  const properties = {}
+  const imageProperties = image.data?.hProperties
+
+  if (imageProperties && imageProperties.id !== undefined) {
+    properties.id = imageProperties.id
+    delete imageProperties.id
+  }
+
+  /** @type {Figure} */
+  const figure = {type: 'figure', children: [image], data: {hName: 'figure', hProperties: properties}}
+
+  if (caption && caption.length > 0) {
+    figure.children = [
+      image,
+      {
+        type: 'figureCaption',
+        children: caption,
+        data: {hName: 'figcaption', hProperties: captionProperties || {}}
+      }
+    ]
+  }
+
+  return figure
+}
+
+/**
+ * Number all figures in a tree, in document order.
+ *
+ * With a `label`, captions are prefixed with it and the number
+ * (`Figure 1: `).
+ * @param {Nodes} tree
+ * @param {string | undefined} label
+ * @returns {Array<FigureInfo>}
+ */
+export function numberFigures(tree, label) {
+  /** @type {Array<FigureInfo>} */
+  const figures = []
+  visitFigures(tree)
+  return figures
+
+  /**
+   * @param {Nodes} node
+   */
+  function visitFigures(node) {
+    if (node.type === 'figure') {
+      const figure = /** @type {Figure} */ (/** @type {unknown} */ (node))
+      const caption = figure.children[1]
+      const number = figures.length + 1
+      const id = figure.data.hProperties.id
+
+      figures.push({
+        id: id === undefined ? undefined : String(id),
+        number,
+        caption: caption ? toText(caption.children) : '',
+        position: figure.position
+      })
+
+      if (label) {
+        const prefix = label + ' ' + number + (caption ? ': ' : '')
+
+        if (caption) {
+          caption.children.unshift({type: 'text', value: prefix})
+        } else {
+          figure.children = [
+            figure.children[0],
+            {
+              type: 'figureCaption',
+              children: [{type: 'text', value: prefix}],
+              data: {hName: 'figcaption', hProperties: {}}
+            }
+          ]
+        }
+      }
+
+      return
+    }
+
+    if ('children' in node) {
+      for (const child of node.children) {
+        visitFigures(child)
+      }
+    }
+  }
+}
+
+/**
+ * Get the text of phrasing content.
+ * @param {Array<PhrasingContent>} nodes
+ * @returns {string}
+ */
+function toText(nodes) {
+  let result = ''
+
+  for (const node of nodes) {
+    if ('value' in node) {
+      result += node.value
+    } else if ('children' in node) {
+      result += toText(node.children)
+    }
+  }
+
+  return result
+}
@@ -0,0 +1,131 @@
+/**
+ * @import {Element, ElementContent, Properties} from 'hast'
+ * @import {Handle} from 'hast-util-to-mdast'
+ * @import {Nodes} from 'mdast'
+ */
+
+import {defaultHandlers} from 'hast-util-to-mdast'
+
+/**
+ * @typedef FromHastOptions
+ *   Configuration (optional).
+ * @property {ReadonlyArray<string> | null | undefined} [properties]
+ *   Extra hast property names to keep, besides `id`, `className`, and
+ *   `data*` (optional, example: `['lang', 'role', 'ariaLabel']`).
+ * @property {Readonly<Record<string, Handle>> | null | undefined} [handlers]
+ *   Handlers to wrap instead of the defaults of `hast-util-to-mdast`
+ *   (optional).
+ */
+
+/** @type {Readonly<FromHastOptions>} */
+const emptyOptions = {}
+
+/**
+ * Create `hast-util-to-mdast` (and `rehype-remark`) handlers that keep
+ * element attributes.
+ *
+ * Each handler wraps the default handler for its element and stores the
+ * `id`, `className`, and `data*` properties of the element in
+ * `data.hProperties` on the resulting mdast node, the same place
+ * `remarkAttributesTransform` puts them.
+ * Use `remarkAttributesRestore` afterwards to turn them into the
+ * `mdastAttributes` nodes (and `data.mdastAttributes` on code) that
+ * `attributesFromMarkdown` creates:
+ *
+ * ```js
+ * unified()
+ *   .use(rehypeParse)
+ *   .use(rehypeRemark, {handlers: attributesFromHast()})
+ *   .use(remarkAttributesRestore)
+ *   .use(remarkStringify)
+ * ```
+ *
+ * Properties that the default handlers already turn into markdown (such as
+ * `href` on links) are not kept.
+ * Code blocks take the properties of their `<code>`, as that's where
+ * `remark-rehype` puts them.
+ *
+ * @param {Readonly<FromHastOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Record<string, Handle>}
+ *   Handlers.
+ */
+export function attributesFromHast(options) {
+  const settings = options || emptyOptions
+  const keep = new Set(settings.properties || [])
+  const base = settings.handlers || defaultHandlers
+  /** @type {Record<string, Handle>} */
+  const handlers = {}
+
+  for (const [tagName, handle] of Object.entries(base)) {
+    handlers[tagName] = wrapHandle(handle, keep)
+  }
+
+  return handlers
+}
+
+/**
+ * Wrap a handler so that the attributes of the element end up on the node
+ * it creates.
+ * @param {Handle} handle
+ * @param {Set<string>} keep
+ * @returns {Handle}
+ */
+function wrapHandle(handle, keep) {
+  return function (state, element, parent) {
+    const result = handle(state, element, parent)
+
+    // Elements that turn into several nodes (or none) have no single target.
+    if (!result || Array.isArray(result)) return result
+
+    const source = element.tagName === 'pre' ? findCode(element) || element : element
+    addProperties(result, pickProperties(source.properties, keep))
+
+    return result
+  }
+}
+
+/**
+ * Find the `<code>` element in a `<pre>`.
+ * @param {Element} element
+ * @returns {Element | undefined}
+ */
+function findCode(element) {
+  return /** @type {Element | undefined} */ (
+    element.children.find(
+      /** @param {ElementContent} child */
+      (child) => child.type === 'element' && child.tagName === 'code'
+    )
+  )
+}
+
+/**
+ * Pick the properties to keep.
+ * @param {Readonly<Properties>} properties
+ * @param {Set<string>} keep
+ * @returns {Properties}
+ */
+function pickProperties(properties, keep) {
+  /** @type {Properties} */
+  const result = {}
+
+  for (const [key, value] of Object.entries(properties)) {
+    if (value === null || value === undefined || value === false) continue
+    if (key === 'id' || key === 'className' || /^data[A-Z\d]/.test(key) || keep.has(key)) {
+      result[key] = Array.isArray(value) ? [...value] : value
+    }
+  }
+
+  return result
+}
+
+/**
+ * Add properties to the hProperties of a node.
+ * @param {Nodes} node
+ * @param {Properties} properties
+ */
+function addProperties(node, properties) {
+  if (Object.keys(properties).length === 0) return
+  node.data = node.data || {}
+  node.data.hProperties = {...node.data.hProperties, ...properties}
+}
@@ -1,10 +1,28 @@
 /**
- * @import {Root, Nodes, Parents, Code} from 'mdast'
+ * @import {Properties} from 'hast'
+ * @import {Root, Nodes, Parents, Code, Definition} from 'mdast'
+ * @import {Info} from 'property-information'
  * @import {Processor} from 'unified'
+ * @import {VFile} from 'vfile'
  */
 
+import {parse as parseCommas} from 'comma-separated-tokens'
+import {slug} from 'github-slugger'
 import {attributes} from 'micromark-extension-attributes'
 import {attributesFromMarkdown, attributesToMarkdown} from 'mdast-util-attributes'
+import {toString} from 'mdast-util-to-string'
+import {find, html, normalize} from 'property-information'
+import {parse as parseSpaces} from 'space-separated-tokens'
+import {
+  definitionAttributes,
+  definitionAttributesFromMarkdown,
+  definitionAttributesToMarkdown
+} from './definition.js'
+import {createFigure, getLoneImage, numberFigures} from './figure.js'
+import {INLINE_TYPES} from './inline-types.js'
+import {createVariables, interpolateVariables} from './interpolate.js'
+import {createPresets, expandPresets} from './presets.js'
+import {createBracketedSpans, spanToMarkdown} from './span.js'
 
 /**
  * @typedef MdastAttributes
@@ -14,8 +32,366 @@ import {attributesFromMarkdown, attributesToMarkdown} from 'mdast-util-attribute
  * @property {import('unist').Position} [position]
  */
 
-/** @type {Set<string>} Inline element types that can have attributes attached */
-const INLINE_TYPES = new Set(['emphasis', 'strong', 'link', 'image', 'inlineCode'])
+/**
+ * @typedef Section
+ *   Section around a heading and its content (see the `sections` option).
+ * @property {'section'} type
+ * @property {number} depth - Rank of the heading
+ * @property {Array<Nodes>} children
+ * @property {{hName: 'section', hProperties: Properties}} data
+ * @property {import('unist').Position} [position]
+ */
+
+/**
+ * @typedef DocumentWrapper
+ *   Wrapper around the whole document, with the document attributes.
+ * @property {'documentWrapper'} type
+ * @property {Array<Nodes>} children
+ * @property {{hName: string, hProperties: Properties}} data
+ * @property {import('unist').Position} [position]
+ */
+
+/**
+ * @typedef HeadingId
+ *   Id of a heading, exposed as `file.data.headingIds` (see the `autoId`
+ *   option).
+ * @property {string} id
+ *   Id of the heading.
+ * @property {boolean} generated
+ *   Whether the id was generated from the text (`false` for `{#id}`).
+ * @property {number} depth
+ *   Rank of the heading.
+ * @property {string} text
+ *   Text of the heading.
+ * @property {import('unist').Position | undefined} position
+ *   Place of the heading in the document.
+ */
+
+/**
+ * @typedef AttributeId
+ *   Id in the document, exposed as `file.data.attributeIds`.
+ * @property {string} id
+ *   Id.
+ * @property {string} type
+ *   Type of the node that has the id (such as `'heading'` or `'image'`).
+ * @property {import('unist').Position | undefined} position
+ *   Place of the node in the document.
+ */
+
+/**
+ * @typedef Options
+ *   Configuration (optional).
+ * @property {ReadonlyArray<string> | null | undefined} [inlineTypes]
+ *   Node types that attributes directly after them (no space) attach to,
+ *   replacing the defaults (default: `['emphasis', 'strong', 'link',
+ *   'image', 'inlineCode', 'delete', 'footnoteReference', 'inlineMath',
+ *   'bracketedSpan', 'linkReference', 'imageReference']`).
+ * @property {ReadonlyArray<string> | null | undefined} [extraInlineTypes]
+ *   Node types to treat as inline attachment targets in addition to
+ *   `inlineTypes` (optional).
+ * @property {boolean | null | undefined} [standalone=true]
+ *   Attach attributes on their own line to the directly following block
+ *   (default: `true`); when off, they are handled as set by `orphans`.
+ * @property {boolean | null | undefined} [trailing=true]
+ *   Attach attributes at the end of a block to that block (default: `true`).
+ * @property {boolean | null | undefined} [promoteTightLists=true]
+ *   Move paragraph attributes to the list item in tight lists, as
+ *   `remark-rehype` drops those paragraphs (default: `true`).
+ * @property {'drop' | 'fail' | 'text' | 'warn' | null | undefined} [orphans='text']
+ *   What to do with attributes that cannot be attached: turn them back into
+ *   their source text (`'text'`), remove them (`'drop'`), turn them into
+ *   text and add a warning to the file (`'warn'`), or throw a fatal error
+ *   (`'fail'`) (default: `'text'`).
+ * @property {MergeStrategy | null | undefined} [conflict='last-wins']
+ *   How to merge a key that is set more than once on the same node, for
+ *   keys without a strategy in `merge` (default: `'last-wins'`).
+ * @property {Readonly<Record<string, MergeStrategy>> | null | undefined} [merge]
+ *   Merge strategies per attribute (such as `style` or `title`), on top of
+ *   the defaults: `'style'` for `style` and `'tokens'` for space- and
+ *   comma-separated attributes such as `rel` and `aria-describedby`
+ *   (optional); `class` always merges as tokens.
+ * @property {Readonly<Record<string, Readonly<Record<string, string>>>> | null | undefined} [presets]
+ *   Named attribute records; a class with a preset name (`{.warning}`)
+ *   expands into the record before attributes are attached (optional,
+ *   example: `{warning: {class: 'callout callout-warning', role: 'note'}}`).
+ * @property {boolean | string | null | undefined} [matterPresets=false]
+ *   Also read presets from a field in the frontmatter (`file.data.matter`,
+ *   as set by `vfile-matter`); `true` uses the field `attributePresets`
+ *   (default: `false`).
+ * @property {boolean | null | undefined} [interpolate=false]
+ *   Replace placeholders in attribute values (`{data-version="$version"}`,
+ *   `${site.title}`) with variables from `variables` and the frontmatter
+ *   (`file.data.matter`), which wins; `$$` is a literal `$` (default:
+ *   `false`).
+ * @property {Readonly<Record<string, unknown>> | null | undefined} [variables]
+ *   Variables for placeholders (optional).
+ * @property {'pandoc' | null | undefined} [dialect]
+ *   Apply the attribute semantics of another tool (optional);
+ *   `'pandoc'`: `{-}` is `.unnumbered`, the first class of a fenced code
+ *   block without info string is its language (`` ```{.python} ``), and an
+ *   image alone in a paragraph becomes a figure captioned with its alt text,
+ *   which gets the image's id.
+ * @property {FigureOptions | boolean | null | undefined} [figures=false]
+ *   Turn images alone in a paragraph with a `caption` attribute
+ *   (`![alt](src){#fig-a caption="Text"}`) or a `figure` attribute (captioned
+ *   with the alt text) into figures, and number all figures (optional);
+ *   the numbers are exposed as `file.data.figures`.
+ * @property {ElementOptions | boolean | null | undefined} [element=false]
+ *   Turn a reserved attribute (`{el=aside}`) into the tag name of the element
+ *   (`data.hName`), for allowed tag names (optional); `true` uses the key
+ *   `el` and the default allow list.
+ * @property {DocumentOptions | boolean | null | undefined} [document=false]
+ *   Attach attributes in the first block with a reserved key
+ *   (`{doc lang=de .print}`) to the document (optional); they are exposed
+ *   as `file.data.documentAttributes`.
+ * @property {boolean | null | undefined} [autoId=false]
+ *   Give headings without id a GitHub-compatible slug of their text as id,
+ *   unique in the document, also compared to explicit ids that come later
+ *   (default: `false`); ids are exposed as `file.data.headingIds`.
+ * @property {boolean | null | undefined} [checkIds=false]
+ *   Warn about ids that are used more than once and about links to
+ *   fragments (`#setup`) that aren't an id in the document (default:
+ *   `false`); ids are always exposed as `file.data.attributeIds`.
+ * @property {string | false | null | undefined} [previousMarker='^']
+ *   Key that makes attributes on their own line attach to the block directly
+ *   before them instead of after them (`{^ .x}`); `false` to turn it off
+ *   (default: `'^'`).
+ * @property {ReadonlyArray<DefaultAttributes> | null | undefined} [defaults]
+ *   Attributes to give every node that matches a selector, without authors
+ *   writing them (optional, example:
+ *   `[{type: 'table', attributes: {class: 'table'}}]`); authors opt out of a
+ *   default class with `{-.table}` and of another default attribute with
+ *   `{-target}`.
+ * @property {'authored' | 'defaults' | null | undefined} [defaultsPrecedence='authored']
+ *   Which attributes are merged last, and so win with the `'last-wins'`
+ *   conflict strategy: authored attributes (`'authored'`) or defaults
+ *   (`'defaults'`) (default: `'authored'`).
+ * @property {Rewrite | null | undefined} [rewrite]
+ *   Change or veto each attribute record before it's attached, with the node
+ *   it attaches to and its ancestors (optional).
+ * @property {boolean | null | undefined} [sections=false]
+ *   Wrap each top-level heading and the content up to the next heading of
+ *   the same or a higher rank in a `section` node, and move the attributes of
+ *   the heading to it, like pandoc's `--section-divs` (default: `false`).
+ * @property {SafeOptions | boolean | null | undefined} [safe=false]
+ *   Drop dangerous attributes before they are attached; `true` uses the
+ *   default deny list and protocols (default: `false`).
+ */
+
+/**
+ * @typedef {'concat' | 'error' | 'first-wins' | 'last-wins' | 'style' | 'tokens'} MergeStrategy
+ *   How to merge two values of the same attribute on a node:
+ *   keep the first (`'first-wins'`) or last (`'last-wins'`) value,
+ *   join them with a space (`'concat'`), fail on different values
+ *   (`'error'`), merge CSS declarations (`'style'`), or merge as a list of
+ *   unique tokens (`'tokens'`).
+ */
+
+/**
+ * @typedef FigureOptions
+ *   Configuration for figures.
+ * @property {string | false | null | undefined} [label='Figure']
+ *   Text to prefix captions with, followed by the number (`Figure 1: `);
+ *   `false` to not change captions (default: `'Figure'`).
+ */
+
+/**
+ * @typedef ElementOptions
+ *   Configuration for element overrides.
+ * @property {string | null | undefined} [key='el']
+ *   Attribute that sets the tag name (default: `'el'`).
+ * @property {ReadonlyArray<string> | null | undefined} [allow]
+ *   Tag names that can be used, replacing the defaults (default: sectioning,
+ *   grouping, and text-level elements such as `aside`, `div`, `figure`, and
+ *   `mark`).
+ */
+
+/**
+ * @callback Rewrite
+ *   Change attributes before they are attached to a node.
+ * @param {Record<string, string>} attributes
+ *   Attributes to attach (a copy, which can be changed).
+ * @param {Nodes} node
+ *   Node they attach to.
+ * @param {Array<Parents>} ancestors
+ *   Ancestors of the node, from the root.
+ * @returns {Record<string, string> | false | null | undefined | void}
+ *   Attributes to attach instead, `false` to not attach them, or nothing to
+ *   attach `attributes`.
+ */
+
+/**
+ * @typedef DefaultAttributes
+ *   Attributes for nodes that match a selector.
+ * @property {string} type
+ *   Node type to match (`'heading'`, `'link'`, `'table'`).
+ * @property {number | null | undefined} [depth]
+ *   Only match headings of this rank (optional).
+ * @property {RegExp | string | null | undefined} [url]
+ *   Only match nodes with a URL (`link`, `image`, `definition`, and
+ *   references through their definition) that matches this pattern; a
+ *   string matches URLs that start with it (optional).
+ * @property {Readonly<Record<string, string>>} attributes
+ *   Attributes to merge into matching nodes.
+ */
+
+/**
+ * @typedef DocumentOptions
+ *   Configuration for document attributes.
+ * @property {string | null | undefined} [key='doc']
+ *   Attribute that marks the first block as document attributes (default:
+ *   `'doc'`).
+ * @property {string | null | undefined} [wrapper]
+ *   Tag name of an element to wrap the document in, with the document
+ *   attributes (optional, example: `'article'`).
+ */
+
+/**
+ * @typedef SafeOptions
+ *   Configuration for safe mode.
+ * @property {ReadonlyArray<RegExp | string> | null | undefined} [allow]
+ *   Attribute names to allow; when given, every other attribute is dropped
+ *   and `deny` is ignored.
+ * @property {ReadonlyArray<RegExp | string> | null | undefined} [deny]
+ *   Attribute names to drop (default: event handlers (`on*`), `style`,
+ *   `srcdoc`, `formaction`).
+ * @property {ReadonlyArray<string> | null | undefined} [protocols]
+ *   Protocols allowed in URL attributes such as `href` and `src`; relative
+ *   URLs are always allowed (default: `['http', 'https', 'mailto', 'tel']`).
+ */
+
+/**
+ * @typedef SafeSettings
+ *   Resolved safe mode configuration.
+ * @property {ReadonlyArray<RegExp | string> | undefined} allow
+ *   Attribute names to allow.
+ * @property {ReadonlyArray<RegExp | string>} deny
+ *   Attribute names to drop.
+ * @property {ReadonlyArray<string>} protocols
+ *   Protocols allowed in URL attributes.
+ */
+
+/**
+ * @typedef State
+ *   Info passed around the transform.
+ * @property {VFile | undefined} file
+ *   File being transformed.
+ * @property {Set<string>} inlineTypes
+ *   Inline element types that can have attributes attached.
+ * @property {boolean} standalone
+ *   Whether separate-line attributes attach to the following block.
+ * @property {boolean} trailing
+ *   Whether trailing attributes attach to their parent block.
+ * @property {boolean} promoteTightLists
+ *   Whether to move paragraph attributes to list items in tight lists.
+ * @property {'drop' | 'fail' | 'text' | 'warn'} orphans
+ *   How to handle attributes that cannot be attached.
+ * @property {MergeStrategy} conflict
+ *   How to merge a key that is set twice.
+ * @property {Map<string, MergeStrategy>} merge
+ *   Merge strategies per hast property name.
+ * @property {Map<string, Readonly<Record<string, string>>>} presets
+ *   Attribute presets by name.
+ * @property {Record<string, unknown> | undefined} variables
+ *   Variables for placeholders, if interpolation is enabled.
+ * @property {'pandoc' | undefined} dialect
+ *   Attribute semantics to apply.
+ * @property {{label: string | undefined} | undefined} figures
+ *   Figure configuration, if enabled.
+ * @property {{key: string, allow: Set<string>} | undefined} element
+ *   Element override configuration, if enabled.
+ * @property {{key: string, wrapper: string | undefined} | undefined} document
+ *   Document attribute configuration, if enabled.
+ * @property {boolean} autoId
+ *   Whether to generate ids for headings.
+ * @property {boolean} checkIds
+ *   Whether to warn about duplicate ids and broken fragment links.
+ * @property {string | undefined} previousMarker
+ *   Key that makes attributes attach to the block before them.
+ * @property {ReadonlyArray<DefaultAttributes>} defaults
+ *   Default attributes by selector.
+ * @property {'authored' | 'defaults'} defaultsPrecedence
+ *   Which attributes are merged last.
+ * @property {WeakMap<Nodes, Set<string>>} negations
+ *   Defaults that authors opted out of per node: property names, and classes
+ *   prefixed with `.`.
+ * @property {Rewrite | undefined} rewrite
+ *   Function to change attributes before they are attached.
+ * @property {WeakMap<Nodes, Parents>} parents
+ *   Parent of each node, for `rewrite`.
+ * @property {boolean} sections
+ *   Whether to wrap headings and their content in sections.
+ * @property {SafeSettings | undefined} safe
+ *   Safe mode configuration, if enabled.
+ */
+
+/**
+ * Tag names that the element attribute (`{el=aside}`) can set by default:
+ * elements with flow or phrasing content and no special behavior.
+ * @type {ReadonlyArray<string>}
+ */
+const ALLOWED_ELEMENTS = [
+  'abbr',
+  'address',
+  'article',
+  'aside',
+  'b',
+  'bdi',
+  'cite',
+  'dd',
+  'del',
+  'details',
+  'dfn',
+  'div',
+  'dl',
+  'dt',
+  'figcaption',
+  'figure',
+  'footer',
+  'header',
+  'i',
+  'ins',
+  'kbd',
+  'mark',
+  'nav',
+  'q',
+  's',
+  'samp',
+  'section',
+  'small',
+  'span',
+  'sub',
+  'summary',
+  'sup',
+  'u',
+  'var'
+]
+
+/** @type {ReadonlyArray<RegExp | string>} Attribute names dropped in safe mode by default */
+const UNSAFE_ATTRIBUTES = [/^on/i, 'style', 'srcdoc', 'formaction']
+
+/** @type {ReadonlyArray<string>} Protocols allowed in URL attributes in safe mode by default */
+const SAFE_PROTOCOLS = ['http', 'https', 'mailto', 'tel']
+
+/** @type {Set<string>} Attributes whose values are URLs */
+const URL_ATTRIBUTES = new Set([
+  'action',
+  'background',
+  'cite',
+  'data',
+  'formaction',
+  'href',
+  'longdesc',
+  'manifest',
+  'ping',
+  'poster',
+  'src',
+  'srcset',
+  'xlink:href'
+])
+
+/** @type {Readonly<Options>} */
+const emptyOptions = {}
 
 
 /**
@@ -33,6 +409,10 @@ const INLINE_TYPES = new Set(['emphasis', 'strong', 'link', 'image', 'inlineCode
  * - Links: `[text](url){target="_blank"}`
  * - Images: `![alt](src){.responsive}`
  * - Inline code: `` `code`{.language-js} ``
+ * - Strikethrough, footnote references, and inline math (with the plugins
+ *   that add them): `~~text~~{.class}`, `[^1]{.class}`
+ * - Bracketed spans: `[some words]{.smallcaps}` (turned into
+ *   `bracketedSpan` nodes, as plain text can't have attributes)
  *
  * **Block elements**:
  * - Headings: `# Heading {#id .class}`
@@ -41,8 +421,8 @@ const INLINE_TYPES = new Set(['emphasis', 'strong', 'link', 'image', 'inlineCode
  * - Lists: `* item {.class}` (trailing on list item)
  * - Separate line (before): `{.class}\n# Heading` (attaches to following block)
  *
- * @returns {undefined}
- *   Nothing.
+ * @returns {(tree: Root, file?: VFile) => undefined}
+ *   Transform function (creating bracketed spans).
  */
 export function remarkAttributesParse() {
   // @ts-expect-error -- TS doesn't understand `this` in plugin context
@@ -51,15 +431,21 @@ export function remarkAttributesParse() {
 
   // Add micromark extension for parsing
   const micromarkExtensions = data.micromarkExtensions || (data.micromarkExtensions = [])
-  micromarkExtensions.push(attributes())
+  micromarkExtensions.push(attributes(), definitionAttributes())
 
   // Add mdast extension for tree conversion (phase 1: create mdastAttributes nodes)
   const fromMarkdownExtensions = data.fromMarkdownExtensions || (data.fromMarkdownExtensions = [])
-  fromMarkdownExtensions.push(attributesFromMarkdown())
+  fromMarkdownExtensions.push(attributesFromMarkdown(), definitionAttributesFromMarkdown())
 
   // Add mdast extension for serialization
   const toMarkdownExtensions = data.toMarkdownExtensions || (data.toMarkdownExtensions = [])
-  toMarkdownExtensions.push(attributesToMarkdown())
+  toMarkdownExtensions.push(attributesToMarkdown(), definitionAttributesToMarkdown(), spanToMarkdown)
+
+  // Brackets before attributes need the source to find escapes, so spans
+  // are made from the tree after parsing
+  return function (tree, file) {
+    createBracketedSpans(tree, file)
+  }
 }
 
 /**
@@ -75,306 +461,1761 @@ export function remarkAttributesParse() {
  * 4. Else → convert to text node (orphan attribute)
  *
  * Code blocks are handled specially since they store attributes in `data.mdastAttributes`.
+ * In GFM tables, a last cell that contains only attributes applies to its row.
  *
  * Use this after `remarkAttributesParse` and any custom plugins that need
  * to manipulate the attribute nodes.
  *
- * @returns {(tree: Root) => Root}
+ * @param {Readonly<Options> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {(tree: Root, file?: VFile) => Root}
  *   Transform function.
  */
-export function remarkAttributesTransform() {
-  return attributesTransform
+export function remarkAttributesTransform(options) {
+  const settings = options || emptyOptions
+
+  return function (tree, file) {
+    return attributesTransform(tree, file, settings)
+  }
 }
 
 /**
  * Transform that converts `mdastAttributes` nodes to `hProperties`.
  *
  * @param {Root} tree
+ * @param {VFile | undefined} file
+ * @param {Readonly<Options>} options
  * @returns {Root}
  */
-function attributesTransform(tree) {
+function attributesTransform(tree, file, options) {
+  const state = createState(file, options)
+
+  // Replace placeholders first, so that they can name presets (`{.$kind}`)
+  const variables = state.variables
+  if (variables) {
+    interpolateVariables(tree, variables, function (name, node) {
+      report(
+        state,
+        'Unexpected unknown variable `' + name + '`, expected it in `variables` or frontmatter',
+        node,
+        'unknown-variable'
+      )
+    })
+  }
+
+  // Expand presets before anything is attached, so that the expanded
+  // attributes go through the same rules (and diagnostics) as authored ones
+  if (state.presets.size > 0) {
+    expandPresets(tree, state.presets)
+  }
+
+  // Map dialect-specific attributes (pandoc's `{-}`) to what they mean
+  if (state.dialect === 'pandoc') {
+    applyPandocAttributes(tree)
+  }
+
+  // Know the ancestors of nodes that attributes attach to, for `rewrite`
+  if (state.rewrite) {
+    collectParents(tree, state.parents)
+  }
+
+  // Take document attributes from the first block, before it would attach to
+  // the block after it
+  if (state.document) {
+    processDocumentAttributes(tree, state.document.key, state)
+  }
+
   // Handle code blocks first (they store attributes in data.mdastAttributes)
-  processCodeBlocks(tree)
+  processCodeBlocks(tree, state)
 
   // Handle thematic breaks with attribute children (from setext heading conversion)
   // The mdast-util-attributes parser converts {.class}\n--- to thematicBreak with children
-  processThematicBreakAttributes(tree)
+  processThematicBreakAttributes(tree, state)
+
+  // Handle attributes that attach to the block before them (`{^ .x}`), before
+  // standalone paragraphs would attach them to the block after them
+  if (state.previousMarker) {
+    processPreviousAttributes(tree, [], state)
+  }
+
+  // Handle standalone attribute paragraphs (separate line before block);
+  // when they are turned off, they are orphans
+  processStandaloneAttributeParagraphs(tree, state)
 
-  // Handle standalone attribute paragraphs (separate line before block)
-  processStandaloneAttributeParagraphs(tree)
+  // Handle table rows whose last cell only holds attributes (`| a | b | {.x}`)
+  processTableRowAttributes(tree, state)
+
+  // Collect definition attributes (`[a]: url {.x}`), as definitions can come
+  // after their references
+  const definitions = collectDefinitionAttributes(tree)
 
   // Process all remaining mdastAttributes nodes
-  processNode(tree, null)
+  processNode(tree, [], state)
+
+  // Apply definition attributes to references after inline attributes, which
+  // override them
+  if (definitions.size > 0) {
+    applyDefinitionAttributes(tree, definitions, state)
+
+    for (const definition of definitions.values()) {
+      delete definition.data?.mdastAttributes
+    }
+  }
 
   // Promote paragraph hProperties to listItem in tight lists.
   // When a list is not spread, remark-rehype unwraps paragraphs inside list items,
   // which discards their data.hProperties. Move them to the listItem instead.
-  promoteTightListAttributes(tree)
+  if (state.promoteTightLists) {
+    promoteTightListAttributes(tree, state)
+  }
+
+  // Images with a `caption` or `figure` attribute become figures
+  if (state.figures) {
+    createExplicitFigures(tree, state)
+  }
+
+  // Pandoc's implicit figures: an image alone in a paragraph is a figure
+  if (state.dialect === 'pandoc') {
+    createImplicitFigures(tree)
+  }
+
+  // Number all figures, explicit and implicit, for cross-references
+  if (state.figures) {
+    const figures = numberFigures(tree, state.figures.label)
+    if (file) file.data.figures = figures
+  }
+
+  // Merge default attributes into matching nodes, once it's known where
+  // authored attributes (and opt-outs) ended up
+  if (state.defaults.length > 0) {
+    applyDefaults(tree, collectDefinitionUrls(tree), state)
+  }
+
+  // Generate heading ids once all explicit ids are known
+  if (state.autoId) {
+    const headingIds = assignHeadingIds(tree)
+    if (file) file.data.headingIds = headingIds
+  }
+
+  // Register all ids, before sections move heading ids to their wrappers
+  const attributeIds = collectAttributeIds(tree)
+  if (file) file.data.attributeIds = attributeIds
+
+  if (state.checkIds) {
+    checkIds(tree, attributeIds, state)
+  }
+
+  // Wrap headings and their content in sections, moving heading attributes.
+  // This comes last so that the wrappers get the final attributes.
+  if (state.sections) {
+    wrapSections(tree)
+  }
+
+  if (state.document) {
+    const properties = tree.data?.hProperties || {}
+    if (file) file.data.documentAttributes = properties
+
+    if (state.document.wrapper) {
+      wrapDocument(tree, state.document.wrapper, properties)
+    }
+  }
 
   return tree
 }
 
 /**
- * Process code blocks to convert data.mdastAttributes to data.hProperties.
+ * Resolve options into the state used by the transform.
+ *
+ * @param {VFile | undefined} file
+ * @param {Readonly<Options>} options
+ * @returns {State}
+ */
+function createState(file, options) {
+  return {
+    file,
+    inlineTypes: new Set([
+      ...(options.inlineTypes || INLINE_TYPES),
+      ...(options.extraInlineTypes || [])
+    ]),
+    standalone: options.standalone !== false,
+    trailing: options.trailing !== false,
+    promoteTightLists: options.promoteTightLists !== false,
+    orphans: options.orphans || 'text',
+    conflict: options.conflict || 'last-wins',
+    merge: createMergeStrategies(options.merge),
+    presets: createPresets(options.presets, options.matterPresets, file),
+    variables: options.interpolate ? createVariables(options.variables, file) : undefined,
+    dialect: options.dialect || undefined,
+    figures: createFigureSettings(options.figures),
+    element: createElementSettings(options.element),
+    document: createDocumentSettings(options.document),
+    autoId: options.autoId === true,
+    checkIds: options.checkIds === true,
+    previousMarker: options.previousMarker === false ? undefined : options.previousMarker || '^',
+    defaults: options.defaults || [],
+    defaultsPrecedence: options.defaultsPrecedence || 'authored',
+    negations: new WeakMap(),
+    rewrite: options.rewrite || undefined,
+    parents: new WeakMap(),
+    sections: options.sections === true,
+    safe: createSafeSettings(options.safe)
+  }
+}
+
+/**
+ * Resolve the `merge` option into strategies per hast property name.
+ *
+ * @param {Readonly<Record<string, MergeStrategy>> | null | undefined} merge
+ * @returns {Map<string, MergeStrategy>}
+ */
+function createMergeStrategies(merge) {
+  /** @type {Map<string, MergeStrategy>} */
+  const strategies = new Map([['style', 'style']])
+
+  if (merge) {
+    for (const [key, strategy] of Object.entries(merge)) {
+      strategies.set(find(html, key).property, strategy)
+    }
+  }
+
+  return strategies
+}
+
+/**
+ * Resolve the `figures` option.
+ *
+ * @param {FigureOptions | boolean | null | undefined} figures
+ * @returns {{label: string | undefined} | undefined}
+ */
+function createFigureSettings(figures) {
+  if (!figures) return undefined
+  const config = figures === true ? {} : figures
+
+  return {
+    label: config.label === false ? undefined : config.label || 'Figure'
+  }
+}
+
+/**
+ * Resolve the `element` option.
+ *
+ * @param {ElementOptions | boolean | null | undefined} element
+ * @returns {{key: string, allow: Set<string>} | undefined}
+ */
+function createElementSettings(element) {
+  if (!element) return undefined
+  const config = element === true ? {} : element
+
+  return {
+    key: config.key || 'el',
+    allow: new Set((config.allow || ALLOWED_ELEMENTS).map((d) => d.toLowerCase()))
+  }
+}
+
+/**
+ * Resolve the `document` option.
+ *
+ * @param {DocumentOptions | boolean | null | undefined} document
+ * @returns {{key: string, wrapper: string | undefined} | undefined}
+ */
+function createDocumentSettings(document) {
+  if (!document) return undefined
+  const config = document === true ? {} : document
+
+  return {
+    key: config.key || 'doc',
+    wrapper: config.wrapper || undefined
+  }
+}
+
+/**
+ * Resolve the `safe` option.
+ *
+ * @param {SafeOptions | boolean | null | undefined} safe
+ * @returns {SafeSettings | undefined}
+ */
+function createSafeSettings(safe) {
+  if (!safe) return undefined
+  const config = safe === true ? {} : safe
+
+  return {
+    allow: config.allow || undefined,
+    deny: config.deny || UNSAFE_ATTRIBUTES,
+    protocols: config.protocols || SAFE_PROTOCOLS
+  }
+}
+
+/**
+ * Process code blocks to convert data.mdastAttributes to data.hProperties.
+ * @param {Nodes} node
+ * @param {State} state
+ */
+function processCodeBlocks(node, state) {
+  if (node.type === 'code') {
+    const code = /** @type {Code} */ (node)
+    if (code.data?.mdastAttributes) {
+      if (state.dialect === 'pandoc' && !code.lang) {
+        takeLanguageFromClass(code)
+      }
+
+      attachAttributes(code, code.data.mdastAttributes, code, state)
+      delete code.data.mdastAttributes
+    }
+    return
+  }
+
+  if ('children' in node) {
+    for (const child of node.children) {
+      processCodeBlocks(child, state)
+    }
+  }
+}
+
+/**
+ * Use the first class of a code block without info string as its language,
+ * like pandoc does for `` ```{.python} ``.
+ * The class is removed, as `language-*` is added for the language instead.
+ * @param {Code} code
+ */
+function takeLanguageFromClass(code) {
+  const attributes = code.data?.mdastAttributes
+  if (!attributes || !attributes.class) return
+  const [lang, ...rest] = attributes.class.split(' ').filter(Boolean)
+  if (!lang) return
+
+  code.lang = lang
+
+  if (rest.length > 0) {
+    attributes.class = rest.join(' ')
+  } else {
+    delete attributes.class
+  }
+}
+
+/**
+ * Map pandoc's attribute shorthands in all attribute blocks of a tree:
+ * `{-}` is the same as `{.unnumbered}`.
+ * @param {Nodes} node
+ */
+function applyPandocAttributes(node) {
+  if (node.type === 'mdastAttributes') {
+    const attributes = /** @type {MdastAttributes} */ (node).attributes
+
+    if ('-' in attributes) {
+      delete attributes['-']
+      attributes.class = attributes.class ? attributes.class + ' unnumbered' : 'unnumbered'
+    }
+
+    return
+  }
+
+  if ('children' in node) {
+    for (const child of node.children) {
+      applyPandocAttributes(child)
+    }
+  }
+}
+
+/**
+ * Turn paragraphs that only contain an image with alt text into figures,
+ * captioned with that alt text, like pandoc's `implicit_figures`.
+ * @param {Parents} parent
+ */
+function createImplicitFigures(parent) {
+  for (let index = 0; index < parent.children.length; index++) {
+    const child = parent.children[index]
+
+    if (child.type === 'paragraph') {
+      const image = getLoneImage(child)
+
+      if (image && image.alt) {
+        const figure = createFigure(image, [{type: 'text', value: image.alt}], {ariaHidden: 'true'})
+        // Attributes of the paragraph itself belong to the figure now.
+        figure.data.hProperties = {...child.data?.hProperties, ...figure.data.hProperties}
+        if (child.position) figure.position = child.position
+        const siblings = /** @type {Array<unknown>} */ (parent.children)
+        siblings[index] = figure
+      }
+    } else if ('children' in child) {
+      createImplicitFigures(/** @type {Parents} */ (child))
+    }
+  }
+}
+
+/**
+ * Turn paragraphs that only contain an image with a `caption` or `figure`
+ * attribute into figures.
+ *
+ * The caption is the value of `caption`, or else the alt text; both
+ * attributes are removed from the image.
+ * Images with these attributes next to other content stay as they are, as a
+ * figure can't be inside a paragraph.
+ * @param {Parents} parent
+ * @param {State} state
+ */
+function createExplicitFigures(parent, state) {
+  for (let index = 0; index < parent.children.length; index++) {
+    const child = parent.children[index]
+
+    if (child.type === 'paragraph') {
+      const image = getLoneImage(child)
+      const properties = image?.data?.hProperties
+
+      if (image && properties && ('caption' in properties || 'figure' in properties)) {
+        const caption = typeof properties.caption === 'string' ? properties.caption : image.alt || ''
+        delete properties.caption
+        delete properties.figure
+        const figure = createFigure(
+          image,
+          caption ? [{type: 'text', value: caption}] : undefined,
+          caption === image.alt ? {ariaHidden: 'true'} : undefined
+        )
+        // Attributes of the paragraph itself belong to the figure now.
+        figure.data.hProperties = {...child.data?.hProperties, ...figure.data.hProperties}
+        if (child.position) figure.position = child.position
+        const siblings = /** @type {Array<unknown>} */ (parent.children)
+        siblings[index] = figure
+      } else {
+        warnInlineFigures(child, state)
+      }
+    } else if ('children' in child) {
+      createExplicitFigures(/** @type {Parents} */ (child), state)
+    }
+  }
+}
+
+/**
+ * Warn about images with figure attributes that are not alone in their
+ * paragraph.
+ * @param {Parents} parent
+ * @param {State} state
+ */
+function warnInlineFigures(parent, state) {
+  for (const child of parent.children) {
+    if (child.type === 'image') {
+      const properties = child.data?.hProperties
+
+      if (properties && ('caption' in properties || 'figure' in properties)) {
+        report(
+          state,
+          'Unexpected figure attributes on an image that is not alone in its paragraph, expected a blank line around it',
+          child,
+          'figure-not-alone'
+        )
+      }
+    } else if ('children' in child) {
+      warnInlineFigures(/** @type {Parents} */ (child), state)
+    }
+  }
+}
+
+/**
+ * Collect the definitions with attributes (`[a]: url {.x}`) by identifier.
+ *
+ * Like references, only the first definition of an identifier counts.
+ * @param {Nodes} tree
+ * @returns {Map<string, Definition>}
+ *   Definitions with attributes.
+ */
+function collectDefinitionAttributes(tree) {
+  /** @type {Map<string, Definition>} */
+  const definitions = new Map()
+  /** @type {Set<string>} */
+  const seen = new Set()
+  visit(tree)
+  return definitions
+
+  /**
+   * @param {Nodes} node
+   */
+  function visit(node) {
+    if (node.type === 'definition') {
+      if (!seen.has(node.identifier) && node.data?.mdastAttributes) {
+        definitions.set(node.identifier, node)
+      }
+
+      seen.add(node.identifier)
+      return
+    }
+
+    if ('children' in node) {
+      for (const child of node.children) {
+        visit(child)
+      }
+    }
+  }
+}
+
+/**
+ * Apply the attributes of definitions to the references that resolve to
+ * them.
+ *
+ * Attributes that are already set on a reference (inline, `[a]{.x}`) win;
+ * classes are combined.
+ * @param {Nodes} node
+ * @param {Map<string, Definition>} definitions
+ * @param {State} state
+ */
+function applyDefinitionAttributes(node, definitions, state) {
+  if (node.type === 'linkReference' || node.type === 'imageReference') {
+    const definition = definitions.get(node.identifier)
+    const attributes = definition?.data?.mdastAttributes
+
+    if (definition && attributes) {
+      const own = node.data?.hProperties || {}
+      /** @type {Record<string, string>} */
+      const inherited = {}
+
+      for (const [key, value] of Object.entries(attributes)) {
+        const property = find(html, key).property
+        if (property === 'className' || own[property] === undefined) {
+          inherited[key] = value
+        }
+      }
+
+      attachAttributes(node, inherited, definition, state)
+    }
+  }
+
+  if ('children' in node) {
+    for (const child of node.children) {
+      applyDefinitionAttributes(child, definitions, state)
+    }
+  }
+}
+
+/**
+ * Process a node and its children for mdastAttributes nodes.
+ * @param {Nodes} node
+ * @param {Array<Parents>} ancestors - Ancestors of `node`, for target modifiers
+ * @param {State} state
+ */
+function processNode(node, ancestors, state) {
+  if (!('children' in node)) {
+    return
+  }
+
+  const nodeWithChildren = /** @type {Parents} */ (node)
+
+  // Process children in reverse to handle removals properly
+  for (let i = nodeWithChildren.children.length - 1; i >= 0; i--) {
+    const child = nodeWithChildren.children[i]
+
+    if (child.type === 'mdastAttributes') {
+      const attrNode = /** @type {MdastAttributes} */ (child)
+      handleAttributeNode(nodeWithChildren, i, attrNode, ancestors, state)
+    } else {
+      // Recurse into children
+      processNode(child, [...ancestors, nodeWithChildren], state)
+    }
+  }
+}
+
+/**
+ * Handle an mdastAttributes node.
+ * @param {Parents} parent
+ * @param {number} index
+ * @param {MdastAttributes} attrNode
+ * @param {Array<Parents>} ancestors - Ancestors of `parent`
+ * @param {State} state
+ */
+function handleAttributeNode(parent, index, attrNode, ancestors, state) {
+  const children = parent.children
+  const prevSibling = index > 0 ? children[index - 1] : null
+  const prevIsInline = prevSibling !== null && state.inlineTypes.has(prevSibling.type)
+  const gap = prevSibling ? getPositionGap(prevSibling, attrNode) : -1
+
+  // Rule 1: Check if preceding sibling is a registered inline element with no position gap
+  if (prevSibling && prevIsInline && gap === 0) {
+    // Attach to preceding inline element
+    attachAttributes(prevSibling, attrNode.attributes, attrNode, state)
+    children.splice(index, 1)
+    return
+  }
+
+  // Rule 2: If this is the last child of a non-inline parent, attach to parent.
+  // No type whitelist: any parent that is not an inline element is a valid
+  // target. This allows attachment to arbitrary block elements like directives.
+  // Target modifiers (`{> .x}`, `{>> .x}`) move the target up to the
+  // parent or grandparent of that block, such as from a paragraph in a list
+  // item to the list item or the list.
+  const isLastChild = index === children.length - 1
+  if (state.trailing && isLastChild && !state.inlineTypes.has(parent.type)) {
+    const levels = getTargetLevels(attrNode.attributes)
+    const target = levels === 0 ? parent : ancestors[ancestors.length - levels]
+
+    if (target && target.type !== 'root') {
+      attachAttributes(target, removeTargetModifiers(attrNode.attributes), attrNode, state)
+      children.splice(index, 1)
+      return
+    }
+
+    const level = levels === 1 ? 'parent' : 'grandparent'
+    handleOrphan(parent, index, attrNode, 'no ' + level + ' of `' + parent.type + '` to target', state)
+    return
+  }
+
+  // Rule 3: Orphan, either drop it or convert to text node using original source value
+  /** @type {string} */
+  let reason
+  if (isLastChild) {
+    reason = state.trailing
+      ? 'end of inline element `' + parent.type + '`'
+      : 'trailing attributes are turned off'
+  } else if (prevIsInline) {
+    reason = gap === -1 ? 'missing position info' : 'space before inline element'
+  } else {
+    reason = 'no inline element directly before'
+  }
+
+  handleOrphan(parent, index, attrNode, reason, state)
+}
+
+/**
+ * Get how many levels up target modifiers move attributes: `>` is the
+ * parent, `>>` the grandparent.
+ * @param {Readonly<Record<string, string>>} attributes
+ * @returns {number}
+ */
+function getTargetLevels(attributes) {
+  return '>>' in attributes ? 2 : '>' in attributes ? 1 : 0
+}
+
+/**
+ * Get attributes without target modifiers.
+ * @param {Readonly<Record<string, string>>} attributes
+ * @returns {Record<string, string>}
+ */
+function removeTargetModifiers(attributes) {
+  const rest = {...attributes}
+  delete rest['>']
+  delete rest['>>']
+  return rest
+}
+
+/**
+ * Report an attribute node that cannot be attached, and either drop it or
+ * convert it to a text node using its original source value.
+ * @param {Parents} parent
+ * @param {number} index
+ * @param {MdastAttributes} attrNode
+ * @param {string} reason
+ * @param {State} state
+ */
+function handleOrphan(parent, index, attrNode, reason, state) {
+  const children = parent.children
+
+  reportOrphan(attrNode, reason, state)
+
+  if (state.orphans === 'drop') {
+    children.splice(index, 1)
+    return
+  }
+
+  /** @type {import('mdast').Text} */
+  const textNode = {
+    type: 'text',
+    value: attrNode.value
+  }
+  if (attrNode.position) {
+    textNode.position = attrNode.position
+  }
+  children[index] = textNode
+}
+
+/**
+ * Process attributes with the previous-block marker (`{^ .x}`).
+ *
+ * These attach to the block that ends directly before them, which is the
+ * reverse of standalone attribute paragraphs:
+ *
+ * - On their own line after a block (code, heading, and such), they attach
+ *   to that block if it's directly adjacent
+ * - After a list or block quote, the line continues the last paragraph
+ *   (lazily), so they attach to the outermost container that ends there
+ * - As the only cell of the last table row, they attach to the table
+ * @param {Parents} parent
+ * @param {Array<Parents>} ancestors
+ * @param {State} state
+ */
+function processPreviousAttributes(parent, ancestors, state) {
+  for (let i = 0; i < parent.children.length; i++) {
+    const child = parent.children[i]
+
+    if (child.type === 'paragraph') {
+      const attrNode = child.children[child.children.length - 1]
+
+      if (attrNode && attrNode.type === 'mdastAttributes') {
+        const previousAttrs = /** @type {MdastAttributes} */ (attrNode)
+
+        if (hasPreviousMarker(previousAttrs, state)) {
+          if (child.children.length === 1) {
+            const prevSibling = i > 0 ? parent.children[i - 1] : null
+
+            if (prevSibling && areDirectlyAdjacent(prevSibling, child)) {
+              attachAttributes(prevSibling, takePreviousMarker(previousAttrs, state), previousAttrs, state)
+              parent.children.splice(i, 1)
+              i--
+              continue
+            }
+
+            handleOrphan(
+              child,
+              0,
+              previousAttrs,
+              prevSibling ? 'blank line after block' : 'no block before attributes',
+              state
+            )
+
+            if (child.children.length === 0) {
+              parent.children.splice(i, 1)
+              i--
+            }
+
+            continue
+          }
+
+          const before = child.children[child.children.length - 2]
+
+          if (before.type === 'break' || (before.type === 'text' && /\n[ \t]*$/.test(before.value))) {
+            // The attribute line continues the paragraph lazily: the block it
+            // follows is the outermost container that ends with it.
+            const chain = [...ancestors, parent, child]
+            /** @type {Nodes} */
+            let target = child
+
+            for (let index = chain.length - 2; index >= 0; index--) {
+              const container = chain[index]
+              if (container.type === 'root') break
+              if (container.children[container.children.length - 1] !== target) break
+              target = container
+            }
+
+            child.children.pop()
+
+            if (before.type === 'text') {
+              before.value = before.value.replace(/\n[ \t]*$/, '')
+            } else {
+              child.children.pop()
+            }
+
+            attachAttributes(target, takePreviousMarker(previousAttrs, state), previousAttrs, state)
+          }
+        }
+      }
+    } else if (child.type === 'table') {
+      const lastRow = child.children[child.children.length - 1]
+      const cell = lastRow && lastRow.children.length === 1 ? lastRow.children[0] : undefined
+      const attrNode = cell && cell.children.length === 1 ? cell.children[0] : undefined
+
+      if (
+        attrNode &&
+        attrNode.type === 'mdastAttributes' &&
+        hasPreviousMarker(/** @type {MdastAttributes} */ (attrNode), state)
+      ) {
+        const previousAttrs = /** @type {MdastAttributes} */ (attrNode)
+        attachAttributes(child, takePreviousMarker(previousAttrs, state), previousAttrs, state)
+        child.children.pop()
+      }
+    }
+
+    if ('children' in child) {
+      processPreviousAttributes(/** @type {Parents} */ (child), [...ancestors, parent], state)
+    }
+  }
+}
+
+/**
+ * Check if attributes have the previous-block marker (`{^ .x}`).
+ * @param {MdastAttributes} attrNode
+ * @param {State} state
+ * @returns {boolean}
+ */
+function hasPreviousMarker(attrNode, state) {
+  return state.previousMarker !== undefined && state.previousMarker in attrNode.attributes
+}
+
+/**
+ * Get the attributes without the previous-block marker.
+ * @param {MdastAttributes} attrNode
+ * @param {State} state
+ * @returns {Record<string, string>}
+ */
+function takePreviousMarker(attrNode, state) {
+  const rest = {...attrNode.attributes}
+  if (state.previousMarker) delete rest[state.previousMarker]
+  return rest
+}
+
+/**
+ * Check if a paragraph contains only a single mdastAttributes node.
+ * These are "standalone attribute paragraphs" that should attach to following block.
+ * @param {Nodes} node
+ * @returns {MdastAttributes | null}
+ */
+function getStandaloneAttributesFromParagraph(node) {
+  if (node.type !== 'paragraph') return null
+  const para = /** @type {import('mdast').Paragraph} */ (node)
+  if (para.children.length !== 1) return null
+  const child = para.children[0]
+  if (child.type !== 'mdastAttributes') return null
+  return /** @type {MdastAttributes} */ (child)
+}
+
+/**
+ * Process standalone attribute paragraphs (attributes on their own line).
+ * These attach to the following block element if directly adjacent (single line gap).
+ * @param {Root} tree
+ * @param {State} state
+ */
+function processStandaloneAttributeParagraphs(tree, state) {
+  processStandaloneInParent(tree, state)
+}
+
+/**
+ * Check if two nodes are on adjacent lines (single line difference).
+ * @param {Nodes} first
+ * @param {Nodes} second
+ * @returns {boolean}
+ */
+function areDirectlyAdjacent(first, second) {
+  const firstEnd = first.position?.end?.line
+  const secondStart = second.position?.start?.line
+
+  if (firstEnd === undefined || secondStart === undefined) {
+    return false
+  }
+
+  // Adjacent means the second starts exactly one line after the first ends or is in the same line (hack to allow attachment)
+  return secondStart - firstEnd === 1 || secondStart === firstEnd
+}
+
+/**
+ * Recursively process standalone attribute paragraphs in a parent.
+ * Attaches to following block element if directly adjacent.
+ * @param {Parents} parent
+ * @param {State} state
+ */
+function processStandaloneInParent(parent, state) {
+  if (!('children' in parent)) return
+
+  // Process forward to handle removals properly when attaching to next sibling
+  for (let i = 0; i < parent.children.length; i++) {
+    const child = parent.children[i]
+
+    // Check if this is a standalone attribute paragraph
+    const standaloneAttrs = getStandaloneAttributesFromParagraph(child)
+    if (state.standalone && standaloneAttrs && i < parent.children.length - 1) {
+      const nextSibling = parent.children[i + 1]
+      // Attach to following block element if directly adjacent.
+      // No type whitelist: at this level (children of root/blockquote/listItem),
+      // all siblings are block-level by definition. This allows attachment to
+      // arbitrary block elements like directives, custom nodes, etc.
+      if (areDirectlyAdjacent(child, nextSibling)) {
+        attachAttributes(nextSibling, standaloneAttrs.attributes, standaloneAttrs, state)
+        parent.children.splice(i, 1)
+        // Don't increment i since we removed current element
+        i--
+        continue
+      }
+    }
+
+    // Not attached, because of a blank line, because no block follows, or
+    // because standalone attributes are turned off: the attributes become
+    // the text of the paragraph (or the paragraph is removed).
+    if (standaloneAttrs) {
+      const reason = !state.standalone
+        ? 'standalone attributes are turned off'
+        : i < parent.children.length - 1
+          ? 'blank line before block'
+          : 'no block after attributes'
+
+      if (state.orphans === 'drop') {
+        reportOrphan(standaloneAttrs, reason, state)
+        parent.children.splice(i, 1)
+        i--
+      } else {
+        handleOrphan(/** @type {import('mdast').Paragraph} */ (child), 0, standaloneAttrs, reason, state)
+      }
+
+      continue
+    }
+
+    // Recurse into children
+    if ('children' in child) {
+      processStandaloneInParent(/** @type {Parents} */ (child), state)
+    }
+  }
+}
+
+/**
+ * Process table rows whose last cell contains only attributes.
+ *
+ * A row can't have trailing attributes of its own: anything after the last
+ * cell's pipe becomes another cell. So an extra last cell that holds nothing
+ * but an attribute block (`| a | b | {.total}`) is treated as row attributes
+ * and removed. Attributes at the end of a cell's content attach to the cell
+ * through the regular last-child rule.
+ * @param {Nodes} node
+ * @param {State} state
+ */
+function processTableRowAttributes(node, state) {
+  if (!('children' in node)) return
+
+  if (node.type === 'tableRow' && node.children.length > 1) {
+    const lastCell = node.children[node.children.length - 1]
+    const attrNode = lastCell.children.length === 1 ? lastCell.children[0] : null
+
+    if (attrNode && attrNode.type === 'mdastAttributes') {
+      const rowAttrs = /** @type {MdastAttributes} */ (attrNode)
+      attachAttributes(node, rowAttrs.attributes, rowAttrs, state)
+      node.children.pop()
+    }
+
+    return
+  }
+
+  for (const child of node.children) {
+    processTableRowAttributes(child, state)
+  }
+}
+
+/**
+ * Process thematic breaks that have mdastAttributes children.
+ * These come from the mdast-util-attributes parser which converts
+ * setext-style attribute headings ({.class}\n---) to thematic breaks.
+ * @param {Root} tree
+ * @param {State} state
+ */
+function processThematicBreakAttributes(tree, state) {
+  processThematicBreaksInParent(tree, state)
+}
+
+/**
+ * Recursively process thematic breaks with attribute children.
+ * @param {Parents} parent
+ * @param {State} state
+ */
+function processThematicBreaksInParent(parent, state) {
+  if (!('children' in parent)) return
+
+  for (const child of parent.children) {
+    // Check if this is a thematic break with children (mdastAttributes)
+    if (child.type === 'thematicBreak' && 'children' in child) {
+      const hrWithChildren = /** @type {import('mdast').ThematicBreak & {children?: Array<MdastAttributes>}} */ (child)
+      if (hrWithChildren.children && hrWithChildren.children.length > 0) {
+        // Merge all attribute children into hProperties
+        for (const attrChild of hrWithChildren.children) {
+          if (attrChild.type === 'mdastAttributes') {
+            attachAttributes(child, attrChild.attributes, attrChild, state)
+          }
+        }
+        // Remove the children property (thematic breaks shouldn't have children in standard mdast)
+        delete hrWithChildren.children
+      }
+    }
+
+    // Recurse into children
+    if ('children' in child) {
+      processThematicBreaksInParent(/** @type {Parents} */ (child), state)
+    }
+  }
+}
+
+/**
+ * Promote paragraph hProperties to listItem in tight lists.
+ * When remark-rehype processes a tight list, it unwraps paragraphs inside
+ * list items (removing the `<p>` wrapper). This discards any `data.hProperties`
+ * on the paragraph. To preserve attributes, move them to the parent listItem.
+ * @param {Nodes} node
+ * @param {State} state
+ */
+function promoteTightListAttributes(node, state) {
+  if (!('children' in node)) return
+
+  if (node.type === 'list' && !node.spread) {
+    for (const child of node.children) {
+      if (child.type === 'listItem') {
+        for (const grandchild of child.children) {
+          if (grandchild.type === 'paragraph' && grandchild.data?.hProperties &&
+              Object.keys(grandchild.data.hProperties).length > 0) {
+            mergeAttributesToNode(child, grandchild.data.hProperties, state)
+            delete grandchild.data.hProperties
+          }
+
+          moveNegations(grandchild, child, state)
+        }
+      }
+    }
+  }
+
+  for (const child of node.children) {
+    promoteTightListAttributes(child, state)
+  }
+}
+
+/**
+ * Merge default attributes into the nodes that match their selectors.
+ *
+ * The defaults of all matching selectors are merged in order, without those
+ * the node opted out of, and then before or after the authored attributes.
+ * @param {Nodes} node
+ * @param {Map<string, string>} urls
+ *   URLs of definitions by identifier, for references.
+ * @param {State} state
+ */
+function applyDefaults(node, urls, state) {
+  /** @type {Properties | undefined} */
+  let properties
+
+  for (const selector of state.defaults) {
+    if (matchesSelector(node, selector, urls)) {
+      properties = properties || {}
+      mergeAttributes(
+        properties,
+        withoutNegations(selector.attributes, state.negations.get(node)),
+        state,
+        node
+      )
+    }
+  }
+
+  if (properties) {
+    const own = node.data?.hProperties
+
+    if (state.defaultsPrecedence === 'defaults' || !own) {
+      mergeAttributesToNode(node, properties, state)
+    } else {
+      mergeAttributes(properties, own, state, node)
+      node.data = node.data || {}
+      node.data.hProperties = properties
+    }
+  }
+
+  if ('children' in node) {
+    for (const child of node.children) {
+      applyDefaults(child, urls, state)
+    }
+  }
+}
+
+/**
+ * Collect the URLs of definitions by identifier.
+ *
+ * Like references, only the first definition of an identifier counts.
+ * @param {Nodes} tree
+ * @returns {Map<string, string>}
+ */
+function collectDefinitionUrls(tree) {
+  /** @type {Map<string, string>} */
+  const urls = new Map()
+  visit(tree)
+  return urls
+
+  /**
+   * @param {Nodes} node
+   */
+  function visit(node) {
+    if (node.type === 'definition') {
+      if (!urls.has(node.identifier)) urls.set(node.identifier, node.url)
+      return
+    }
+
+    if ('children' in node) {
+      for (const child of node.children) {
+        visit(child)
+      }
+    }
+  }
+}
+
+/**
+ * Check if a node matches the selector of defaults.
+ * @param {Nodes} node
+ * @param {DefaultAttributes} selector
+ * @param {Map<string, string>} urls
+ *   URLs of definitions by identifier, for references.
+ * @returns {boolean}
+ */
+function matchesSelector(node, selector, urls) {
+  if (node.type !== selector.type) return false
+
+  if (
+    selector.depth !== null &&
+    selector.depth !== undefined &&
+    (node.type !== 'heading' || node.depth !== selector.depth)
+  ) {
+    return false
+  }
+
+  if (selector.url !== null && selector.url !== undefined) {
+    const url =
+      node.type === 'linkReference' || node.type === 'imageReference'
+        ? urls.get(node.identifier)
+        : 'url' in node
+          ? node.url
+          : undefined
+    if (typeof url !== 'string') return false
+    return typeof selector.url === 'string' ? url.startsWith(selector.url) : selector.url.test(url)
+  }
+
+  return true
+}
+
+/**
+ * Take opt-outs of defaults (`{-.table}`, `{-target}`) out of attributes and
+ * store them for the node.
+ * @param {Nodes} node
+ * @param {Record<string, string>} attributes
+ * @param {State} state
+ * @returns {Record<string, string>}
+ *   Attributes without opt-outs.
+ */
+function takeNegations(node, attributes, state) {
+  /** @type {Record<string, string>} */
+  const rest = {}
+
+  for (const [key, value] of Object.entries(attributes)) {
+    if (key.length > 1 && key.charAt(0) === '-') {
+      let negations = state.negations.get(node)
+
+      if (!negations) {
+        negations = new Set()
+        state.negations.set(node, negations)
+      }
+
+      negations.add(key.charAt(1) === '.' ? key.slice(1) : find(html, key.slice(1)).property)
+    } else {
+      rest[key] = value
+    }
+  }
+
+  return rest
+}
+
+/**
+ * Move the opt-outs of a node to the node that its attributes moved to.
+ * @param {Nodes} from
+ * @param {Nodes} to
+ * @param {State} state
+ */
+function moveNegations(from, to, state) {
+  const negations = state.negations.get(from)
+  if (!negations) return
+  const existing = state.negations.get(to)
+  state.negations.set(to, existing ? new Set([...existing, ...negations]) : negations)
+  state.negations.delete(from)
+}
+
+/**
+ * Remove the attributes and classes a node opted out of from defaults.
+ * @param {Readonly<Record<string, string>>} attributes
+ * @param {Set<string> | undefined} negations
+ * @returns {Readonly<Record<string, string>>}
+ */
+function withoutNegations(attributes, negations) {
+  if (!negations) return attributes
+
+  /** @type {Record<string, string>} */
+  const result = {}
+
+  for (const [key, value] of Object.entries(attributes)) {
+    const property = find(html, key).property
+    if (negations.has(property)) continue
+
+    if (property === 'className') {
+      const classes = parseSpaces(value).filter((d) => !negations.has('.' + d))
+      if (classes.length > 0) result[key] = classes.join(' ')
+    } else {
+      result[key] = value
+    }
+  }
+
+  return result
+}
+
+/**
+ * Give headings without id a slug of their text, like GitHub does.
+ *
+ * Explicit ids anywhere in the document are reserved first, so a generated
+ * id never takes the id of a later element; repeated slugs get a number
+ * (`intro`, `intro-1`).
+ * @param {Root} tree
+ * @returns {Array<HeadingId>}
+ *   Ids of all headings, in document order.
+ */
+function assignHeadingIds(tree) {
+  /** @type {Set<string>} */
+  const used = new Set()
+  /** @type {Array<HeadingId>} */
+  const result = []
+  collectIds(tree)
+  assign(tree)
+  return result
+
+  /**
+   * @param {Nodes} node
+   */
+  function collectIds(node) {
+    const id = node.data?.hProperties?.id
+    if (id !== undefined && id !== null) used.add(String(id))
+
+    if ('children' in node) {
+      for (const child of node.children) {
+        collectIds(child)
+      }
+    }
+  }
+
+  /**
+   * @param {Nodes} node
+   */
+  function assign(node) {
+    if (node.type === 'heading') {
+      // Trim the space that was before trailing attributes (`# A {.x}`).
+      const text = toString(node).trim()
+      const explicit = node.data?.hProperties?.id
+      let id = explicit === undefined || explicit === null ? undefined : String(explicit)
+      const generated = id === undefined
+
+      if (id === undefined) {
+        const base = slug(text)
+        // Headings without text get no id.
+        if (!base) return
+        let count = 0
+        id = base
+
+        while (used.has(id)) {
+          count++
+          id = base + '-' + count
+        }
+
+        used.add(id)
+        node.data = node.data || {}
+        node.data.hProperties = {...node.data.hProperties, id}
+      }
+
+      result.push({id, generated, depth: node.depth, text, position: node.position})
+      return
+    }
+
+    if ('children' in node) {
+      for (const child of node.children) {
+        assign(child)
+      }
+    }
+  }
+}
+
+/**
+ * Collect the ids of all nodes, in document order.
+ * @param {Nodes} tree
+ * @returns {Array<AttributeId>}
+ */
+function collectAttributeIds(tree) {
+  /** @type {Array<AttributeId>} */
+  const result = []
+  visit(tree)
+  return result
+
+  /**
+   * @param {Nodes} node
+   */
+  function visit(node) {
+    const id = node.data?.hProperties?.id
+
+    if (id !== undefined && id !== null && id !== '') {
+      result.push({id: String(id), type: node.type, position: node.position})
+    }
+
+    if ('children' in node) {
+      for (const child of node.children) {
+        visit(child)
+      }
+    }
+  }
+}
+
+/**
+ * Warn about duplicate ids and about links and definitions with a fragment
+ * (`#setup`) that is not an id in the document.
+ * @param {Nodes} tree
+ * @param {ReadonlyArray<AttributeId>} attributeIds
+ * @param {State} state
+ */
+function checkIds(tree, attributeIds, state) {
+  /** @type {Map<string, AttributeId>} */
+  const ids = new Map()
+
+  for (const info of attributeIds) {
+    const first = ids.get(info.id)
+
+    if (first) {
+      const place = first.position
+        ? ' (first used at ' + first.position.start.line + ':' + first.position.start.column + ')'
+        : ''
+      report(
+        state,
+        'Unexpected duplicate id `' + info.id + '`, expected unique ids' + place,
+        info,
+        'duplicate-id'
+      )
+    } else {
+      ids.set(info.id, info)
+    }
+  }
+
+  visit(tree)
+
+  /**
+   * @param {Nodes} node
+   */
+  function visit(node) {
+    if (
+      (node.type === 'link' || node.type === 'definition') &&
+      node.url.charAt(0) === '#' &&
+      node.url.length > 1
+    ) {
+      const fragment = decodeFragment(node.url.slice(1))
+
+      if (!ids.has(fragment)) {
+        report(state, 'Cannot find id `' + fragment + '` for link to `' + node.url + '`', node, 'missing-id')
+      }
+    }
+
+    if ('children' in node) {
+      for (const child of node.children) {
+        visit(child)
+      }
+    }
+  }
+}
+
+/**
+ * Decode a URL fragment, leaving it as it is if it's not valid.
+ * @param {string} fragment
+ * @returns {string}
+ */
+function decodeFragment(fragment) {
+  try {
+    return decodeURIComponent(fragment)
+  } catch {
+    return fragment
+  }
+}
+
+/**
+ * Attach the attributes of the first block to the root, if it's a
+ * standalone attribute paragraph with the document key (`{doc .x}`).
+ *
+ * Frontmatter before it is skipped; the paragraph is removed.
+ * @param {Root} tree
+ * @param {string} key
+ * @param {State} state
+ */
+function processDocumentAttributes(tree, key, state) {
+  const index = tree.children.findIndex(
+    (child) => child.type !== 'yaml' && /** @type {string} */ (child.type) !== 'toml'
+  )
+  const attrNode = index === -1 ? null : getStandaloneAttributesFromParagraph(tree.children[index])
+  if (!attrNode || !(key in attrNode.attributes)) return
+
+  const attributes = {...attrNode.attributes}
+  delete attributes[key]
+  tree.children.splice(index, 1)
+  attachAttributes(tree, attributes, attrNode, state)
+}
+
+/**
+ * Wrap the whole document in an element with the document attributes.
+ * @param {Root} tree
+ * @param {string} tagName
+ * @param {Properties} properties
+ */
+function wrapDocument(tree, tagName, properties) {
+  /** @type {DocumentWrapper} */
+  const wrapper = {
+    type: 'documentWrapper',
+    children: tree.children,
+    data: {hName: tagName, hProperties: properties}
+  }
+
+  if (tree.position) wrapper.position = tree.position
+  tree.children = [/** @type {Root['children'][number]} */ (/** @type {unknown} */ (wrapper))]
+}
+
+/**
+ * Wrap each heading and the content up to the next heading of the same or a
+ * higher rank in a section, nesting sections of lower-rank headings.
+ *
+ * Sections are `section` nodes with `data.hName: 'section'`, which
+ * `remark-rehype` turns into `<section>` elements.
+ * The hProperties of the heading move to its section.
+ * Content before the first heading is left as it is.
+ * @param {Root} tree
+ */
+function wrapSections(tree) {
+  /** @type {Array<Nodes>} */
+  const result = []
+  /** @type {Array<Section>} */
+  const stack = []
+
+  for (const child of tree.children) {
+    if (child.type === 'heading') {
+      while (stack.length > 0 && stack[stack.length - 1].depth >= child.depth) {
+        stack.pop()
+      }
+
+      /** @type {Section} */
+      const section = {
+        type: 'section',
+        depth: child.depth,
+        children: [child],
+        data: {hName: 'section', hProperties: child.data?.hProperties || {}}
+      }
+
+      if (child.data?.hProperties) {
+        delete child.data.hProperties
+      }
+
+      const parent = stack.length > 0 ? stack[stack.length - 1].children : result
+      parent.push(section)
+      stack.push(section)
+    } else {
+      const parent = stack.length > 0 ? stack[stack.length - 1].children : result
+      parent.push(child)
+    }
+  }
+
+  for (const node of result) {
+    if (node.type === 'section') setSectionPosition(/** @type {Section} */ (/** @type {unknown} */ (node)))
+  }
+
+  tree.children = /** @type {Root['children']} */ (result)
+}
+
+/**
+ * Set the position of sections from their first to their last child.
+ * @param {Section} section
+ */
+function setSectionPosition(section) {
+  for (const child of section.children) {
+    if (child.type === 'section') setSectionPosition(/** @type {Section} */ (/** @type {unknown} */ (child)))
+  }
+
+  const start = section.children[0].position?.start
+  const end = section.children[section.children.length - 1].position?.end
+
+  if (start && end) {
+    section.position = {start, end}
+  }
+}
+
+/**
+ * Get the position gap (in characters) between two nodes.
+ * Returns 0 if they are adjacent, positive if there's a gap.
+ * Returns -1 if positions are unavailable.
+ * @param {Nodes} before
+ * @param {Nodes} after
+ * @returns {number}
+ */
+function getPositionGap(before, after) {
+  const beforeEnd = before.position?.end?.offset
+  const afterStart = after.position?.start?.offset
+
+  if (beforeEnd === undefined || afterStart === undefined) {
+    return -1
+  }
+
+  return afterStart - beforeEnd
+}
+
+/**
+ * Attach attributes from an attribute block (or code info string) to a node.
+ *
+ * The element attribute is applied first, as it isn't an attribute of the
+ * element; the rest is checked by safe mode and merged into `hProperties`.
+ * Target modifiers are only resolved for trailing attributes, elsewhere they
+ * are reported and dropped.
+ * The `rewrite` option can then change the attributes or veto them.
+ * When there are defaults, opt-outs (`{-.table}`) are stored for them.
+ *
+ * @param {Nodes} node - The node to attach to
+ * @param {Record<string, string>} attributes
+ * @param {Nodes | MdastAttributes} source - The node the attributes come from
+ * @param {State} state
+ */
+function attachAttributes(node, attributes, source, state) {
+  if (getTargetLevels(attributes) > 0) {
+    report(
+      state,
+      'Unexpected target modifier (`>`, `>>`), expected it in attributes at the end of a block',
+      source,
+      'misplaced-modifier'
+    )
+    attributes = removeTargetModifiers(attributes)
+  }
+
+  if (state.previousMarker && state.previousMarker in attributes) {
+    report(
+      state,
+      'Unexpected previous-block marker (`' +
+        state.previousMarker +
+        '`), expected it in attributes on their own line after a block',
+      source,
+      'misplaced-marker'
+    )
+    attributes = {...attributes}
+    delete attributes[state.previousMarker]
+  }
+
+  if (state.rewrite) {
+    const copy = {...attributes}
+    const result = state.rewrite(copy, node, getAncestors(node, state))
+    if (result === false) return
+    attributes = result || copy
+  }
+
+  attributes = takeNegations(node, attributes, state)
+
+  mergeAttributesToNode(
+    node,
+    filterAttributes(applyElement(node, attributes, source, state), source, state),
+    state
+  )
+}
+
+/**
+ * Store the parent of each node in a tree.
  * @param {Nodes} node
+ * @param {WeakMap<Nodes, Parents>} parents
  */
-function processCodeBlocks(node) {
-  if (node.type === 'code') {
-    const code = /** @type {Code} */ (node)
-    if (code.data?.mdastAttributes) {
-      code.data = code.data || {}
-      code.data.hProperties = code.data.hProperties || {}
-      mergeAttributes(code.data.hProperties, code.data.mdastAttributes, code)
-      delete code.data.mdastAttributes
-    }
-    return
-  }
-
+function collectParents(node, parents) {
   if ('children' in node) {
     for (const child of node.children) {
-      processCodeBlocks(child)
+      parents.set(child, node)
+      collectParents(child, parents)
     }
   }
 }
 
 /**
- * Process a node and its children for mdastAttributes nodes.
+ * Get the ancestors of a node, from the root.
  * @param {Nodes} node
- * @param {Parents | null} parent
+ * @param {State} state
+ * @returns {Array<Parents>}
  */
-function processNode(node, parent) {
-  if (!('children' in node)) {
-    return
-  }
-
-  const nodeWithChildren = /** @type {Parents} */ (node)
-
-  // Process children in reverse to handle removals properly
-  for (let i = nodeWithChildren.children.length - 1; i >= 0; i--) {
-    const child = nodeWithChildren.children[i]
+function getAncestors(node, state) {
+  /** @type {Array<Parents>} */
+  const ancestors = []
+  let parent = state.parents.get(node)
 
-    if (child.type === 'mdastAttributes') {
-      const attrNode = /** @type {MdastAttributes} */ (child)
-      handleAttributeNode(nodeWithChildren, i, attrNode)
-    } else {
-      // Recurse into children
-      processNode(child, nodeWithChildren)
-    }
+  while (parent) {
+    ancestors.unshift(parent)
+    parent = state.parents.get(parent)
   }
+
+  return ancestors
 }
 
 /**
- * Handle an mdastAttributes node.
- * @param {Parents} parent
- * @param {number} index
- * @param {MdastAttributes} attrNode
+ * Take the element attribute (`{el=aside}`) out of attributes and use it as
+ * the tag name of the node, if it's allowed.
+ *
+ * Tag names that are not allowed are reported on the file and dropped.
+ *
+ * @param {Nodes} node
+ * @param {Record<string, string>} attributes
+ * @param {Nodes | MdastAttributes} source - The node the attributes come from
+ * @param {State} state
+ * @returns {Record<string, string>}
+ *   Attributes without the element attribute.
  */
-function handleAttributeNode(parent, index, attrNode) {
-  const children = parent.children
-  const prevSibling = index > 0 ? children[index - 1] : null
+function applyElement(node, attributes, source, state) {
+  const element = state.element
+  if (!element || !(element.key in attributes)) return attributes
 
-  // Rule 1: Check if preceding sibling is inline element with no position gap
-  if (prevSibling && INLINE_TYPES.has(prevSibling.type)) {
-    const gap = getPositionGap(prevSibling, attrNode)
-    if (gap === 0) {
-      // Attach to preceding inline element
-      mergeAttributesToNode(prevSibling, attrNode.attributes)
-      children.splice(index, 1)
-      return
-    }
-  }
+  const {[element.key]: value, ...rest} = attributes
+  const name = value.trim().toLowerCase()
 
-  // Rule 2: If this is the last child of a non-inline parent, attach to parent.
-  // No type whitelist: any parent that is not an inline element is a valid
-  // target. This allows attachment to arbitrary block elements like directives.
-  const isLastChild = index === children.length - 1
-  if (isLastChild && !INLINE_TYPES.has(parent.type)) {
-    mergeAttributesToNode(parent, attrNode.attributes)
-    children.splice(index, 1)
-    return
+  if (element.allow.has(name)) {
+    node.data = node.data || {}
+    node.data.hName = name
+  } else {
+    report(
+      state,
+      'Unexpected tag name `' + value + '` in `' + element.key + '`, expected an allowed tag name',
+      source,
+      'disallowed-element'
+    )
   }
 
-  // Rule 3: Convert to text node using original source value
-  /** @type {import('mdast').Text} */
-  const textNode = {
-    type: 'text',
-    value: attrNode.value
-  }
-  if (attrNode.position) {
-    textNode.position = attrNode.position
-  }
-  children[index] = textNode
+  return rest
 }
 
 /**
- * Check if a paragraph contains only a single mdastAttributes node.
- * These are "standalone attribute paragraphs" that should attach to following block.
- * @param {Nodes} node
- * @returns {MdastAttributes | null}
+ * Drop attributes rejected by safe mode.
+ *
+ * Each dropped attribute is reported on the file at the position of `source`.
+ *
+ * @param {Record<string, string>} attributes
+ * @param {Nodes | MdastAttributes} source - The node the attributes come from
+ * @param {State} state
+ * @returns {Record<string, string>}
  */
-function getStandaloneAttributesFromParagraph(node) {
-  if (node.type !== 'paragraph') return null
-  const para = /** @type {import('mdast').Paragraph} */ (node)
-  if (para.children.length !== 1) return null
-  const child = para.children[0]
-  if (child.type !== 'mdastAttributes') return null
-  return /** @type {MdastAttributes} */ (child)
-}
+function filterAttributes(attributes, source, state) {
+  const safe = state.safe
+  if (!safe) return attributes
 
-/**
- * Process standalone attribute paragraphs (attributes on their own line).
- * These attach to the following block element if directly adjacent (single line gap).
- * @param {Root} tree
- */
-function processStandaloneAttributeParagraphs(tree) {
-  processStandaloneInParent(tree)
-}
+  /** @type {Record<string, string>} */
+  const result = {}
 
-/**
- * Check if two nodes are on adjacent lines (single line difference).
- * @param {Nodes} first
- * @param {Nodes} second
- * @returns {boolean}
- */
-function areDirectlyAdjacent(first, second) {
-  const firstEnd = first.position?.end?.line
-  const secondStart = second.position?.start?.line
+  for (const [key, value] of Object.entries(attributes)) {
+    // Check the attribute that the key turns into (`xLinkHref` is
+    // `xlink:href`), as well as the key as written.
+    const attribute = find(html, key).attribute
+    const allowed = safe.allow
+      ? matchesName(safe.allow, key) || matchesName(safe.allow, attribute)
+      : !matchesName(safe.deny, key) && !matchesName(safe.deny, attribute)
 
-  if (firstEnd === undefined || secondStart === undefined) {
-    return false
+    if (!allowed) {
+      report(state, 'Unexpected unsafe attribute `' + key + '`, dropping it', source, 'unsafe-attribute')
+    } else if (
+      URL_ATTRIBUTES.has(attribute.toLowerCase()) &&
+      !getUrls(attribute.toLowerCase(), value).every((url) => isSafeUrl(url, safe.protocols))
+    ) {
+      report(state, 'Unexpected unsafe protocol in `' + key + '`, dropping it', source, 'unsafe-protocol')
+    } else {
+      result[key] = value
+    }
   }
 
-  // Adjacent means the second starts exactly one line after the first ends or is in the same line (hack to allow attachment)
-  return secondStart - firstEnd === 1 || secondStart === firstEnd
+  return result
 }
 
 /**
- * Recursively process standalone attribute paragraphs in a parent.
- * Attaches to following block element if directly adjacent.
- * @param {Parents} parent
+ * Check if an attribute name matches a list of names or patterns.
+ * @param {ReadonlyArray<RegExp | string>} list
+ * @param {string} name
+ * @returns {boolean}
  */
-function processStandaloneInParent(parent) {
-  if (!('children' in parent)) return
-
-  // Process forward to handle removals properly when attaching to next sibling
-  for (let i = 0; i < parent.children.length; i++) {
-    const child = parent.children[i]
-
-    // Check if this is a standalone attribute paragraph
-    const standaloneAttrs = getStandaloneAttributesFromParagraph(child)
-    if (standaloneAttrs && i < parent.children.length - 1) {
-      const nextSibling = parent.children[i + 1]
-      // Attach to following block element if directly adjacent.
-      // No type whitelist: at this level (children of root/blockquote/listItem),
-      // all siblings are block-level by definition. This allows attachment to
-      // arbitrary block elements like directives, custom nodes, etc.
-      if (areDirectlyAdjacent(child, nextSibling)) {
-        mergeAttributesToNode(nextSibling, standaloneAttrs.attributes)
-        parent.children.splice(i, 1)
-        // Don't increment i since we removed current element
-        i--
-        continue
-      }
-    }
+function matchesName(list, name) {
+  const lower = name.toLowerCase()
 
-    // Recurse into children
-    if ('children' in child) {
-      processStandaloneInParent(/** @type {Parents} */ (child))
+  for (const item of list) {
+    if (typeof item === 'string' ? item.toLowerCase() === lower : item.test(name)) {
+      return true
     }
   }
+
+  return false
 }
 
 /**
- * Process thematic breaks that have mdastAttributes children.
- * These come from the mdast-util-attributes parser which converts
- * setext-style attribute headings ({.class}\n---) to thematic breaks.
- * @param {Root} tree
+ * Get the URLs in the value of a URL attribute: `ping` has a list of them,
+ * and `srcset` a list of URLs with a size each (`a.png 2x, b.png 3x`).
+ * @param {string} attribute
+ * @param {string} value
+ * @returns {Array<string>}
  */
-function processThematicBreakAttributes(tree) {
-  processThematicBreaksInParent(tree)
+function getUrls(attribute, value) {
+  if (attribute === 'ping') return parseSpaces(value)
+  if (attribute === 'srcset') return parseCommas(value).map((d) => parseSpaces(d)[0] || '')
+  return [value]
 }
 
 /**
- * Recursively process thematic breaks with attribute children.
- * @param {Parents} parent
+ * Check if a URL is relative or uses one of the allowed protocols.
+ * @param {string} value
+ * @param {ReadonlyArray<string>} protocols
+ * @returns {boolean}
  */
-function processThematicBreaksInParent(parent) {
-  if (!('children' in parent)) return
-
-  for (const child of parent.children) {
-    // Check if this is a thematic break with children (mdastAttributes)
-    if (child.type === 'thematicBreak' && 'children' in child) {
-      const hrWithChildren = /** @type {import('mdast').ThematicBreak & {children?: Array<MdastAttributes>}} */ (child)
-      if (hrWithChildren.children && hrWithChildren.children.length > 0) {
-        // Merge all attribute children into hProperties
-        for (const attrChild of hrWithChildren.children) {
-          if (attrChild.type === 'mdastAttributes') {
-            mergeAttributesToNode(child, attrChild.attributes)
-          }
-        }
-        // Remove the children property (thematic breaks shouldn't have children in standard mdast)
-        delete hrWithChildren.children
-      }
-    }
+function isSafeUrl(value, protocols) {
+  // Browsers ignore whitespace and control characters in protocols
+  // (`java\tscript:`), so strip them before looking for one.
+  const url = value.replace(/[\u0000-\u0020\u007F]/g, '')
+  const colon = url.indexOf(':')
+  const questionMark = url.indexOf('?')
+  const numberSign = url.indexOf('#')
+  const slash = url.indexOf('/')
 
-    // Recurse into children
-    if ('children' in child) {
-      processThematicBreaksInParent(/** @type {Parents} */ (child))
-    }
+  if (
+    // No protocol: relative.
+    colon === -1 ||
+    // The first colon is after a `?`, `#`, or `/`: not a protocol.
+    (slash !== -1 && colon > slash) ||
+    (questionMark !== -1 && colon > questionMark) ||
+    (numberSign !== -1 && colon > numberSign)
+  ) {
+    return true
   }
+
+  return protocols.includes(url.slice(0, colon).toLowerCase())
 }
 
 /**
- * Promote paragraph hProperties to listItem in tight lists.
- * When remark-rehype processes a tight list, it unwraps paragraphs inside
- * list items (removing the `<p>` wrapper). This discards any `data.hProperties`
- * on the paragraph. To preserve attributes, move them to the parent listItem.
- * @param {Nodes} node
+ * Report attributes that could not be attached, depending on `orphans`.
+ *
+ * With `'warn'`, a warning is added to the file; with `'fail'`, a fatal
+ * error is thrown.
+ * @param {MdastAttributes} attrNode
+ * @param {string} reason
+ * @param {State} state
  */
-function promoteTightListAttributes(node) {
-  if (!('children' in node)) return
+function reportOrphan(attrNode, reason, state) {
+  if (state.orphans !== 'warn' && state.orphans !== 'fail') return
 
-  if (node.type === 'list' && !node.spread) {
-    for (const child of node.children) {
-      if (child.type === 'listItem') {
-        for (const grandchild of child.children) {
-          if (grandchild.type === 'paragraph' && grandchild.data?.hProperties &&
-              Object.keys(grandchild.data.hProperties).length > 0) {
-            mergeAttributesToNode(child, grandchild.data.hProperties)
-            delete grandchild.data.hProperties
-          }
-        }
-      }
-    }
-  }
+  const message = 'Cannot attach attributes `' + attrNode.value + '`: ' + reason
 
-  for (const child of node.children) {
-    promoteTightListAttributes(child)
+  if (state.orphans === 'fail') {
+    fail(state, message, attrNode, 'orphan-attributes')
   }
+
+  report(state, message, attrNode, 'orphan-attributes')
 }
 
 /**
- * Get the position gap (in characters) between two nodes.
- * Returns 0 if they are adjacent, positive if there's a gap.
- * Returns -1 if positions are unavailable.
- * @param {Nodes} before
- * @param {Nodes} after
- * @returns {number}
+ * Throw a fatal error, on the file if there is one.
+ * @param {State} state
+ * @param {string} reason
+ * @param {Nodes | MdastAttributes} node - The node whose position is reported
+ * @param {string} ruleId
+ * @returns {never}
  */
-function getPositionGap(before, after) {
-  const beforeEnd = before.position?.end?.offset
-  const afterStart = after.position?.start?.offset
-
-  if (beforeEnd === undefined || afterStart === undefined) {
-    return -1
+function fail(state, reason, node, ruleId) {
+  if (state.file) {
+    state.file.fail(reason, {
+      place: node.position,
+      ruleId,
+      source: 'remark-attributes'
+    })
   }
 
-  return afterStart - beforeEnd
+  throw new Error(reason)
+}
+
+/**
+ * Report a message on the file, if there is one.
+ * @param {State} state
+ * @param {string} reason
+ * @param {Nodes | MdastAttributes | AttributeId} node - The node whose position is reported
+ * @param {string} ruleId
+ */
+function report(state, reason, node, ruleId) {
+  if (!state.file) return
+  state.file.message(reason, {
+    place: node.position,
+    ruleId,
+    source: 'remark-attributes'
+  })
 }
 
 /**
  * Merge attributes into a node's hProperties.
  *
+ * Keys are turned into hast property names and values are typed the way
+ * `hastscript` does it (see `mergeAttributes`).
+ *
  * For the `class` attribute, this uses the hast `className` property (an array)
  * instead of the HTML `class` string. This avoids duplicate `class` attributes
  * when remark-rehype also sets `className` (e.g., `language-*` on code blocks).
@@ -383,25 +2224,40 @@ function getPositionGap(before, after) {
  * in the `className` array so remark-rehype's value isn't lost.
  *
  * @param {Nodes} node
- * @param {Record<string, string>} attributes
+ * @param {Readonly<Properties>} attributes
+ * @param {State} state
  */
-function mergeAttributesToNode(node, attributes) {
+function mergeAttributesToNode(node, attributes, state) {
   // @ts-ignore - adding data property
   node.data = node.data || {}
   // @ts-ignore - adding hProperties property
   node.data.hProperties = node.data.hProperties || {}
-  mergeAttributes(node.data.hProperties, attributes, node)
+  mergeAttributes(node.data.hProperties, attributes, state, node)
 }
 
 /**
- * Merge attributes from source into target, handling class as className array.
- * @param {Record<string, string | string[]>} target
- * @param {Record<string, string>} source
+ * Merge attributes from source into target as hast properties.
+ *
+ * Attribute names become property names (`tabindex` → `tabIndex`,
+ * `for` → `htmlFor`, `data-foo-bar` → `dataFooBar`), and values are typed:
+ * booleans (`{hidden}` → `true`), numbers (`tabindex="1"` → `1`), and lists
+ * (`rel="a b"` → `['a', 'b']`).
+ * Source keys that already are property names (such as `className` when
+ * promoting `hProperties`) are kept as they are.
+ *
+ * @param {Properties} target
+ * @param {Readonly<Properties>} source
+ * @param {State} state
  * @param {Nodes} [node] - The target mdast node, used to preserve language class on code blocks
  */
-function mergeAttributes(target, source, node) {
-  for (const [key, value] of Object.entries(source)) {
-    if (key === 'class') {
+function mergeAttributes(target, source, state, node) {
+  for (const [key, rawValue] of Object.entries(source)) {
+    const info = find(html, key)
+    const value = toPropertyValue(info, rawValue)
+
+    if (value === undefined) continue
+
+    if (info.property === 'className') {
       // Use className (array) for hast compatibility.
       // This prevents duplicate `class` HTML attributes when remark-rehype
       // also sets className (e.g., language-* on code blocks).
@@ -416,16 +2272,204 @@ function mergeAttributes(target, source, node) {
         }
       }
 
-      for (const cls of value.split(' ')) {
-        if (cls && !existing.includes(cls)) {
+      for (const cls of Array.isArray(value) ? value : [value]) {
+        if (cls !== '' && typeof cls !== 'boolean' && !existing.includes(cls)) {
           existing.push(cls)
         }
       }
       target.className = existing
     } else {
-      target[key] = value
+      const current = target[info.property]
+      target[info.property] =
+        current === null || current === undefined
+          ? value
+          : mergeValue(current, value, info, state, node)
+    }
+  }
+}
+
+/**
+ * Merge two values of the same property, according to its merge strategy.
+ *
+ * @param {NonNullable<Properties[string]>} current
+ * @param {NonNullable<Properties[string]>} value
+ * @param {Info} info
+ * @param {State} state
+ * @param {Nodes} [node] - The target mdast node, used to report conflicts
+ * @returns {Properties[string]}
+ */
+function mergeValue(current, value, info, state, node) {
+  const strategy =
+    state.merge.get(info.property) ||
+    (info.spaceSeparated || info.commaSeparated || info.commaOrSpaceSeparated
+      ? 'tokens'
+      : state.conflict)
+
+  switch (strategy) {
+    case 'first-wins': {
+      return current
+    }
+
+    case 'concat': {
+      return Array.isArray(current) || Array.isArray(value)
+        ? [...toList(current), ...toList(value)]
+        : String(current) + ' ' + String(value)
+    }
+
+    case 'error': {
+      if (String(current) !== String(value)) {
+        const reason = 'Unexpected conflicting values for `' + info.attribute + '`: `' + String(current) + '` and `' + String(value) + '`'
+        if (node) fail(state, reason, node, 'attribute-conflict')
+        throw new Error(reason)
+      }
+
+      return current
+    }
+
+    case 'style': {
+      return mergeStyle(String(current), String(value))
+    }
+
+    case 'tokens': {
+      /** @type {Array<number | string>} */
+      const result = []
+      for (const token of [...toList(current), ...toList(value)]) {
+        if (!result.includes(token)) result.push(token)
+      }
+
+      return result
+    }
+
+    default: {
+      return value
+    }
+  }
+}
+
+/**
+ * Turn a property value into a list.
+ * @param {NonNullable<Properties[string]>} value
+ * @returns {Array<number | string>}
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value
+  return typeof value === 'boolean' ? [] : parseSpaces(String(value))
+}
+
+/**
+ * Merge CSS declarations: later declarations of a property replace earlier
+ * ones, other declarations are kept in order.
+ *
+ * @param {string} current
+ * @param {string} value
+ * @returns {string}
+ */
+function mergeStyle(current, value) {
+  /** @type {Map<string, string>} */
+  const declarations = new Map()
+
+  for (const declaration of [...splitStyle(current), ...splitStyle(value)]) {
+    const colon = declaration.indexOf(':')
+    if (colon === -1) continue
+    const name = declaration.slice(0, colon).trim().toLowerCase()
+    // Delete first so that a redeclared property moves to the end.
+    declarations.delete(name)
+    declarations.set(name, declaration.slice(colon + 1).trim())
+  }
+
+  return [...declarations].map(([name, value]) => name + ': ' + value).join('; ')
+}
+
+/**
+ * Split a CSS declaration list on semicolons outside of strings and
+ * parentheses (such as in `url(a;b)`).
+ *
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function splitStyle(value) {
+  /** @type {Array<string>} */
+  const result = []
+  /** @type {string | undefined} */
+  let quote
+  let depth = 0
+  let start = 0
+
+  for (let index = 0; index < value.length; index++) {
+    const char = value.charAt(index)
+
+    if (quote) {
+      if (char === '\\') index++
+      else if (char === quote) quote = undefined
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '(') {
+      depth++
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1)
+    } else if (char === ';' && depth === 0) {
+      result.push(value.slice(start, index))
+      start = index + 1
     }
   }
+
+  result.push(value.slice(start))
+  return result.filter((declaration) => declaration.trim() !== '')
+}
+
+/**
+ * Turn an attribute value into a typed hast property value.
+ *
+ * Strings are parsed like `hastscript` parses them; values that are already
+ * typed (from `hProperties`) are passed through.
+ *
+ * @param {Info} info
+ * @param {Properties[string]} value
+ * @returns {Properties[string]}
+ */
+function toPropertyValue(info, value) {
+  if (value === null || value === undefined) return undefined
+  if (typeof value === 'number') return Number.isNaN(value) ? undefined : value
+  if (typeof value !== 'string') return value
+
+  if (info.spaceSeparated) {
+    return parseSpaces(value).map((item) => parsePrimitive(info, item))
+  }
+
+  if (info.commaSeparated) {
+    return parseCommas(value).map((item) => parsePrimitive(info, item))
+  }
+
+  if (info.commaOrSpaceSeparated) {
+    return parseSpaces(parseCommas(value).join(' ')).map((item) =>
+      parsePrimitive(info, item)
+    )
+  }
+
+  return parsePrimitive(info, value)
+}
+
+/**
+ * Parse a single string value into a number or boolean, if the property
+ * expects one.
+ *
+ * @param {Info} info
+ * @param {string} value
+ * @returns {boolean | number | string}
+ */
+function parsePrimitive(info, value) {
+  if (info.number && value && !Number.isNaN(Number(value))) {
+    return Number(value)
+  }
+
+  if (
+    (info.boolean || info.overloadedBoolean) &&
+    (value === '' || normalize(value) === normalize(info.attribute))
+  ) {
+    return true
+  }
+
+  return value
 }
 
 /**
@@ -455,6 +2499,10 @@ function mergeAttributes(target, source, node) {
  * - Links: `[text](url){target="_blank"}`
  * - Images: `![alt](src){.responsive}`
  * - Inline code: `` `code`{.language-js} ``
+ * - Strikethrough, footnote references, and inline math (with the plugins
+ *   that add them): `~~text~~{.class}`, `[^1]{.class}`
+ * - Bracketed spans: `[some words]{.smallcaps}` (turned into
+ *   `bracketedSpan` nodes, as plain text can't have attributes)
  *
  * **Block elements**:
  * - Headings: `# Heading {#id .class}`
@@ -466,28 +2514,34 @@ function mergeAttributes(target, source, node) {
  * Attributes are stored in `node.data.hProperties` for compatibility
  * with rehype (remark-rehype will pass them to HTML elements).
  *
- * @returns {(tree: Root) => Root}
+ * @param {Readonly<Options> | null | undefined} [options]
+ *   Configuration (optional), passed to the transform.
+ * @returns {(tree: Root, file?: VFile) => Root}
  *   Transform function.
  */
-export default function remarkAttributes() {
+export default function remarkAttributes(options) {
+  const settings = options || emptyOptions
+
   // @ts-expect-error -- TS doesn't understand `this` in plugin context
   const self = /** @type {Processor<Root>} */ (this)
   const data = self.data()
 
   // Add micromark extension for parsing
   const micromarkExtensions = data.micromarkExtensions || (data.micromarkExtensions = [])
-  micromarkExtensions.push(attributes())
+  micromarkExtensions.push(attributes(), definitionAttributes())
 
   // Add mdast extension for tree conversion (phase 1: create mdastAttributes nodes)
   const fromMarkdownExtensions = data.fromMarkdownExtensions || (data.fromMarkdownExtensions = [])
-  fromMarkdownExtensions.push(attributesFromMarkdown())
+  fromMarkdownExtensions.push(attributesFromMarkdown(), definitionAttributesFromMarkdown())
 
   // Add mdast extension for serialization
   const toMarkdownExtensions = data.toMarkdownExtensions || (data.toMarkdownExtensions = [])
-  toMarkdownExtensions.push(attributesToMarkdown())
+  toMarkdownExtensions.push(attributesToMarkdown(), definitionAttributesToMarkdown(), spanToMarkdown)
 
-  // Return transform function (phase 2: convert mdastAttributes to hProperties)
-  return function (tree) {
-    return attributesTransform(tree)
+  // Return transform function (bracketed spans, then phase 2: convert
+  // mdastAttributes to hProperties)
+  return function (tree, file) {
+    createBracketedSpans(tree, file)
+    return attributesTransform(tree, file, settings)
   }
 }
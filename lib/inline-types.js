@@ -0,0 +1,20 @@
+/**
+ * Inline element types that can have attributes attached by default.
+ * Besides the CommonMark constructs, this includes the inline nodes of
+ * GFM (`remark-gfm`), math (`remark-math`), bracketed spans
+ * (`[some words]{.x}`), and references (`[text][ref]{.x}`).
+ * @type {ReadonlyArray<string>}
+ */
+export const INLINE_TYPES = [
+  'emphasis',
+  'strong',
+  'link',
+  'image',
+  'inlineCode',
+  'delete',
+  'footnoteReference',
+  'inlineMath',
+  'bracketedSpan',
+  'linkReference',
+  'imageReference'
+]
@@ -0,0 +1,128 @@
+/**
+ * @import {Nodes} from 'mdast'
+ * @import {VFile} from 'vfile'
+ * @import {MdastAttributes} from './index.js'
+ */
+
+/**
+ * @callback OnUnknown
+ *   Handle a placeholder without value.
+ * @param {string} name
+ *   Name of the variable (`version`, `site.title`).
+ * @param {Nodes | MdastAttributes} node
+ *   Node with the attributes.
+ * @returns {undefined | void}
+ */
+
+const placeholder = /\$(?:\$|\{([^{}]*)\}|([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*))/g
+
+/**
+ * Resolve the variables that placeholders can use.
+ *
+ * Variables from frontmatter (`file.data.matter`, as set by `vfile-matter`)
+ * override variables with the same name from options.
+ *
+ * @param {Readonly<Record<string, unknown>> | null | undefined} variables
+ * @param {VFile | undefined} file
+ * @returns {Record<string, unknown>}
+ */
+export function createVariables(variables, file) {
+  const matter = /** @type {Record<string, unknown> | undefined} */ (file?.data.matter)
+  return {...variables, ...(matter && typeof matter === 'object' ? matter : {})}
+}
+
+/**
+ * Replace placeholders (`$version`, `${site.title}`) in the values of all
+ * attribute blocks of a tree; `$$` is a literal `$`.
+ *
+ * Placeholders without value are left as they are and passed to `onUnknown`.
+ *
+ * @param {Nodes} node
+ * @param {Readonly<Record<string, unknown>>} variables
+ * @param {OnUnknown} onUnknown
+ */
+export function interpolateVariables(node, variables, onUnknown) {
+  if (node.type === 'mdastAttributes') {
+    const attrNode = /** @type {MdastAttributes} */ (node)
+    attrNode.attributes = interpolateAttributes(attrNode.attributes, variables, (name) =>
+      onUnknown(name, attrNode)
+    )
+    return
+  }
+
+  if ((node.type === 'code' || node.type === 'definition') && node.data?.mdastAttributes) {
+    node.data.mdastAttributes = interpolateAttributes(node.data.mdastAttributes, variables, (name) =>
+      onUnknown(name, node)
+    )
+  }
+
+  if ('children' in node) {
+    for (const child of node.children) {
+      interpolateVariables(child, variables, onUnknown)
+    }
+  }
+}
+
+/**
+ * Replace placeholders in the values of an attribute record.
+ *
+ * @param {Readonly<Record<string, string>>} attributes
+ * @param {Readonly<Record<string, unknown>>} variables
+ * @param {(name: string) => undefined | void} onUnknown
+ * @returns {Record<string, string>}
+ */
+function interpolateAttributes(attributes, variables, onUnknown) {
+  /** @type {Record<string, string>} */
+  const result = {}
+
+  for (const [key, value] of Object.entries(attributes)) {
+    result[key] = value.replace(placeholder, function ($0, braced, bare) {
+      if ($0 === '$$') return '$'
+      const name = (braced ?? bare).trim()
+      const replacement = toValue(lookup(variables, name))
+
+      if (replacement === undefined) {
+        onUnknown(name)
+        return $0
+      }
+
+      return replacement
+    })
+  }
+
+  return result
+}
+
+/**
+ * Get a variable, where dots in the name get fields of objects
+ * (`site.title`).
+ * @param {Readonly<Record<string, unknown>>} variables
+ * @param {string} name
+ * @returns {unknown}
+ */
+function lookup(variables, name) {
+  /** @type {unknown} */
+  let value = variables
+
+  for (const field of name.split('.')) {
+    if (!value || typeof value !== 'object' || !Object.hasOwn(value, field)) {
+      return undefined
+    }
+
+    value = /** @type {Record<string, unknown>} */ (value)[field]
+  }
+
+  return value
+}
+
+/**
+ * Turn a variable into a string, if it can be one.
+ * @param {unknown} value
+ * @returns {string | undefined}
+ */
+function toValue(value) {
+  if (typeof value === 'string') return value
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+  if (Array.isArray(value)) return value.map((item) => toValue(item) ?? '').join(' ')
+  return undefined
+}
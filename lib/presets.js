@@ -0,0 +1,136 @@
+/**
+ * @import {Nodes} from 'mdast'
+ * @import {VFile} from 'vfile'
+ * @import {MdastAttributes} from './index.js'
+ */
+
+/**
+ * Resolve presets from options and, if enabled, frontmatter.
+ *
+ * Frontmatter is read from `file.data.matter` (as set by `vfile-matter`);
+ * presets defined there override presets with the same name from options.
+ *
+ * @param {Readonly<Record<string, Readonly<Record<string, string>>>> | null | undefined} presets
+ * @param {boolean | string | null | undefined} matterPresets
+ *   Field in frontmatter to read presets from; `true` is `attributePresets`.
+ * @param {VFile | undefined} file
+ * @returns {Map<string, Readonly<Record<string, string>>>}
+ */
+export function createPresets(presets, matterPresets, file) {
+  /** @type {Map<string, Readonly<Record<string, string>>>} */
+  const result = new Map(Object.entries(presets || {}))
+
+  if (matterPresets && file) {
+    const field = matterPresets === true ? 'attributePresets' : matterPresets
+    const matter = /** @type {Record<string, unknown> | undefined} */ (file.data.matter)
+    const fromMatter = matter && typeof matter === 'object' ? matter[field] : undefined
+
+    if (fromMatter && typeof fromMatter === 'object') {
+      for (const [name, value] of Object.entries(fromMatter)) {
+        if (value && typeof value === 'object') {
+          result.set(name, toStringRecord(/** @type {Record<string, unknown>} */ (value)))
+        }
+      }
+    }
+  }
+
+  return result
+}
+
+/**
+ * Expand presets in all attribute blocks of a tree.
+ *
+ * Attribute nodes are changed in place, so they keep their position for
+ * later diagnostics.
+ *
+ * @param {Nodes} node
+ * @param {Map<string, Readonly<Record<string, string>>>} presets
+ */
+export function expandPresets(node, presets) {
+  if (node.type === 'mdastAttributes') {
+    const attrNode = /** @type {MdastAttributes} */ (node)
+    attrNode.attributes = expandAttributes(attrNode.attributes, presets)
+    return
+  }
+
+  if ((node.type === 'code' || node.type === 'definition') && node.data?.mdastAttributes) {
+    node.data.mdastAttributes = expandAttributes(node.data.mdastAttributes, presets)
+  }
+
+  if ('children' in node) {
+    for (const child of node.children) {
+      expandPresets(child, presets)
+    }
+  }
+}
+
+/**
+ * Expand the preset classes in an attribute record.
+ *
+ * Each class that names a preset (`.warning`) is replaced by the attributes
+ * of that preset.
+ * Preset classes come first, other attributes of the block override preset
+ * values.
+ *
+ * @param {Readonly<Record<string, string>>} attributes
+ * @param {Map<string, Readonly<Record<string, string>>>} presets
+ * @returns {Record<string, string>}
+ */
+export function expandAttributes(attributes, presets) {
+  const tokens = attributes.class ? attributes.class.split(' ').filter(Boolean) : []
+  /** @type {Record<string, string>} */
+  const expanded = {}
+  /** @type {Array<string>} */
+  const classes = []
+  let found = false
+
+  for (const token of tokens) {
+    const preset = presets.get(token)
+
+    if (preset) {
+      found = true
+      for (const [key, value] of Object.entries(preset)) {
+        if (key === 'class') {
+          classes.push(...value.split(' ').filter(Boolean))
+        } else {
+          expanded[key] = value
+        }
+      }
+    }
+  }
+
+  if (!found) return {...attributes}
+
+  for (const token of tokens) {
+    if (!presets.has(token)) classes.push(token)
+  }
+
+  /** @type {Record<string, string>} */
+  const result = {...expanded, ...attributes}
+  const unique = [...new Set(classes)]
+
+  if (unique.length > 0) {
+    result.class = unique.join(' ')
+  } else {
+    delete result.class
+  }
+
+  return result
+}
+
+/**
+ * Turn the values of an object from frontmatter into strings.
+ * @param {Record<string, unknown>} value
+ * @returns {Record<string, string>}
+ */
+function toStringRecord(value) {
+  /** @type {Record<string, string>} */
+  const result = {}
+
+  for (const [key, item] of Object.entries(value)) {
+    if (item === null || item === undefined || item === false) continue
+    result[key] = Array.isArray(item) ? item.join(' ') : item === true ? '' : String(item)
+  }
+
+  return result
+}
@@ -0,0 +1,396 @@
+/**
+ * @import {Properties} from 'hast'
+ * @import {Root, Nodes, Parents, Code, Paragraph, Table} from 'mdast'
+ * @import {Handle, Options as ToMarkdownOptions} from 'mdast-util-to-markdown'
+ * @import {Processor} from 'unified'
+ * @import {VFile} from 'vfile'
+ * @import {MdastAttributes} from './index.js'
+ */
+
+import {attributesToMarkdown} from 'mdast-util-attributes'
+import {stringify as commas} from 'comma-separated-tokens'
+import {find, html} from 'property-information'
+import {stringify as spaces} from 'space-separated-tokens'
+import {definitionAttributesToMarkdown} from './definition.js'
+import {INLINE_TYPES} from './inline-types.js'
+import {serializeAttributes} from './serialize.js'
+import {spanToMarkdown} from './span.js'
+
+/**
+ * @typedef RestoreOptions
+ *   Configuration (optional).
+ * @property {ReadonlyArray<string> | null | undefined} [inlineTypes]
+ *   Node types whose attributes are written directly after them, replacing
+ *   the defaults; should match the transform (optional).
+ * @property {ReadonlyArray<string> | null | undefined} [extraInlineTypes]
+ *   Node types to treat as inline in addition to `inlineTypes` (optional).
+ */
+
+/** @type {Readonly<RestoreOptions>} */
+const emptyOptions = {}
+
+/**
+ * Node types whose attributes are written at the end of their content
+ * (`# Heading {#id}`, `Text. {.note}`, `| cell {.num} |`).
+ * @type {Set<string>}
+ */
+const TRAILING_TYPES = new Set(['heading', 'paragraph', 'tableCell'])
+
+/**
+ * Extension to serialize attribute paragraphs directly before their block.
+ *
+ * Blocks are normally separated by a blank line, but separate-line
+ * attributes only attach to a directly adjacent block.
+ * @type {ToMarkdownOptions}
+ */
+const restoreToMarkdown = {
+  join: [
+    function (left) {
+      if (isAttributesParagraph(left)) return 0
+    }
+  ]
+}
+
+/**
+ * Plugin to turn `hProperties` back into attribute syntax (reverse of
+ * `remarkAttributesTransform`).
+ *
+ * After the transform, ids, classes, and other attributes only exist in
+ * `data.hProperties`, which `remark-stringify` ignores.
+ * This plugin turns them back into the `mdastAttributes` nodes (and
+ * `data.mdastAttributes` on code) that `remarkAttributesParse` creates, so
+ * that serializing writes `{#id .class key="value"}` where it would be
+ * parsed again:
+ *
+ * - Inline elements: directly after the element (`*text*{.class}`)
+ * - Headings, paragraphs, table cells: at the end of the content
+ * - Tight list items: at the end of their first paragraph
+ * - Code blocks: in the info string
+ * - Thematic breaks: on the line before (`{.class}\n---`)
+ * - Table rows: in an extra last cell (`| a | b | {.class}`), which is
+ *   written after the row so that other rows aren't padded with an empty
+ *   cell; use `remark-gfm` before this plugin
+ * - Other blocks: on the line before the block
+ *
+ * This works on any tree, also when other plugins set `data.hProperties`.
+ * Values with both `"` and `'` can't be quoted, so they are dropped with a
+ * warning (`ruleId`: `unquotable-attribute`).
+ *
+ * @param {Readonly<RestoreOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {(tree: Root, file: VFile) => Root}
+ *   Transform function.
+ */
+export function remarkAttributesRestore(options) {
+  // @ts-expect-error -- TS doesn't understand `this` in plugin context
+  const self = /** @type {Processor<Root>} */ (this)
+  const data = self.data()
+  const settings = options || emptyOptions
+  const inlineTypes = new Set([
+    ...(settings.inlineTypes || INLINE_TYPES),
+    ...(settings.extraInlineTypes || [])
+  ])
+
+  /** @type {Handle | undefined} */
+  let tableHandler
+  /** @type {ToMarkdownOptions} */
+  const tableToMarkdown = {handlers: {table: handleTable}}
+
+  // Add mdast extensions for serialization
+  const toMarkdownExtensions = data.toMarkdownExtensions || (data.toMarkdownExtensions = [])
+  toMarkdownExtensions.push(
+    attributesToMarkdown(),
+    definitionAttributesToMarkdown(),
+    spanToMarkdown,
+    restoreToMarkdown,
+    tableToMarkdown
+  )
+
+  return function (tree, file) {
+    // The table handler of `remark-gfm`, which is wrapped.
+    tableHandler = findHandler(toMarkdownExtensions, tableToMarkdown, 'table')
+    demoteTightListAttributes(tree)
+    restoreInParent(tree, inlineTypes, file)
+    return tree
+  }
+
+  /**
+   * Serialize a table without the cells of row attributes, and then write
+   * them after their rows: serializers pad all rows to the longest one,
+   * which would add an empty column to the table.
+   *
+   * The cell of header row attributes is kept, as the header and delimiter
+   * rows must have the same number of cells; the padding of other rows is
+   * not a column then.
+   * @type {Handle}
+   * @param {Table} node
+   */
+  function handleTable(node, parent, state, info) {
+    if (!tableHandler) throw new Error('Cannot handle unknown node `table`')
+    /** @type {Array<string>} */
+    const attributes = []
+    const rows = node.children.map(function (row, index) {
+      const cell = row.children[row.children.length - 1]
+      const attrNode = cell && cell.children.length === 1 ? cell.children[0] : undefined
+
+      if (index === 0 || row.children.length < 2 || !attrNode || attrNode.type !== 'mdastAttributes') {
+        return row
+      }
+
+      attributes[index] = serializeAttributes(/** @type {MdastAttributes} */ (attrNode).attributes)
+      return {...row, children: row.children.slice(0, -1)}
+    })
+    const lines = tableHandler({...node, children: rows}, parent, state, info).split('\n')
+
+    for (const [index, value] of attributes.entries()) {
+      // The delimiter row is the second line.
+      if (value) lines[index + 1] += ' ' + value.replace(/\|/g, '\\|') + ' |'
+    }
+
+    return lines.join('\n')
+  }
+}
+
+/**
+ * Find the handler for a node type that extensions before `until` set, in
+ * the order that `mdast-util-to-markdown` applies them.
+ * @param {ReadonlyArray<ToMarkdownOptions>} extensions
+ * @param {ToMarkdownOptions} until
+ * @param {string} type
+ * @returns {Handle | undefined}
+ */
+function findHandler(extensions, until, type) {
+  /** @type {Handle | undefined} */
+  let result
+  let done = false
+  visit(extensions)
+  return result
+
+  /**
+   * @param {ReadonlyArray<ToMarkdownOptions>} list
+   */
+  function visit(list) {
+    for (const extension of list) {
+      if (done) return
+      if (extension === until) {
+        done = true
+        return
+      }
+
+      if (extension.extensions) visit(extension.extensions)
+      if (done) return
+      const handlers = /** @type {Record<string, Handle | undefined> | undefined} */ (extension.handlers)
+      if (handlers && handlers[type]) result = handlers[type]
+    }
+  }
+}
+
+/**
+ * Move list item hProperties to their first paragraph (reverse of
+ * `promoteTightListAttributes`), as that's where the syntax lives.
+ * @param {Nodes} node
+ */
+function demoteTightListAttributes(node) {
+  if (!('children' in node)) return
+
+  if (node.type === 'listItem') {
+    const head = node.children[0]
+    const properties = takeProperties(node)
+
+    if (properties && head && head.type === 'paragraph') {
+      head.data = head.data || {}
+      head.data.hProperties = {...properties, ...head.data.hProperties}
+    } else if (properties) {
+      // No paragraph to put them in: leave them.
+      node.data = node.data || {}
+      node.data.hProperties = properties
+    }
+  }
+
+  for (const child of node.children) {
+    demoteTightListAttributes(child)
+  }
+}
+
+/**
+ * Restore attributes of the children of a parent.
+ * @param {Parents} parent
+ * @param {Set<string>} inlineTypes
+ * @param {VFile} file
+ */
+function restoreInParent(parent, inlineTypes, file) {
+  // Walk backwards, as nodes are inserted next to the current child.
+  for (let index = parent.children.length - 1; index >= 0; index--) {
+    const child = parent.children[index]
+
+    if ('children' in child) {
+      restoreInParent(child, inlineTypes, file)
+    }
+
+    if (child.type === 'code') {
+      restoreCode(child, file)
+      continue
+    }
+
+    // Attributes on a list item without paragraph can't be written.
+    if (child.type === 'listItem') continue
+
+    const properties = takeProperties(child)
+    if (!properties) continue
+    const attrNode = createAttributesNode(properties, child, file)
+    if (!attrNode) continue
+
+    if (inlineTypes.has(child.type)) {
+      /** @type {Array<Nodes>} */ (parent.children).splice(index + 1, 0, attrNode)
+    } else if (TRAILING_TYPES.has(child.type) && 'children' in child && child.children.length > 0) {
+      appendTrailing(/** @type {Parents} */ (child), attrNode)
+    } else if (child.type === 'tableRow') {
+      /** @type {Array<Nodes>} */ (child.children).push({type: 'tableCell', children: [attrNode]})
+    } else if (child.type === 'thematicBreak') {
+      const hr = /** @type {import('mdast').ThematicBreak & {children?: Array<MdastAttributes>}} */ (child)
+      hr.children = [attrNode]
+    } else {
+      /** @type {Paragraph} */
+      const paragraph = {type: 'paragraph', children: [attrNode]}
+      const siblings = /** @type {Array<Nodes>} */ (parent.children)
+      siblings.splice(index, 0, paragraph)
+    }
+  }
+}
+
+/**
+ * Restore attributes of a code block to `data.mdastAttributes`, leaving out
+ * the `language-*` class that the transform adds.
+ * @param {Code} code
+ * @param {VFile} file
+ */
+function restoreCode(code, file) {
+  const properties = takeProperties(code)
+  if (!properties) return
+
+  if (code.lang && Array.isArray(properties.className)) {
+    const langClass = 'language-' + code.lang
+    properties.className = properties.className.filter((d) => d !== langClass)
+  }
+
+  const attributes = toQuotableAttributes(properties, code, file)
+  if (Object.keys(attributes).length === 0) return
+  code.data = code.data || {}
+  code.data.mdastAttributes = attributes
+}
+
+/**
+ * Append an attribute node at the end of a block's content, after a space
+ * so that it doesn't attach to a trailing inline element.
+ * @param {Parents} parent
+ * @param {MdastAttributes} attrNode
+ */
+function appendTrailing(parent, attrNode) {
+  const children = /** @type {Array<Nodes>} */ (parent.children)
+  const tail = children[children.length - 1]
+
+  if (tail.type === 'text') {
+    if (!/[ \t]$/.test(tail.value)) tail.value += ' '
+  } else {
+    children.push({type: 'text', value: ' '})
+  }
+
+  children.push(attrNode)
+}
+
+/**
+ * Remove and return the non-empty hProperties of a node.
+ * @param {Nodes} node
+ * @returns {Properties | undefined}
+ */
+function takeProperties(node) {
+  const properties = node.data?.hProperties
+  if (!properties) return undefined
+  delete node.data?.hProperties
+  return Object.keys(properties).length > 0 ? {...properties} : undefined
+}
+
+/**
+ * Create an `mdastAttributes` node from hast properties, if any can be
+ * written.
+ * @param {Readonly<Properties>} properties
+ * @param {Nodes} node
+ * @param {VFile} file
+ * @returns {MdastAttributes | undefined}
+ */
+function createAttributesNode(properties, node, file) {
+  const attributes = toQuotableAttributes(properties, node, file)
+  if (Object.keys(attributes).length === 0) return undefined
+  return {type: 'mdastAttributes', attributes, value: serializeAttributes(attributes)}
+}
+
+/**
+ * Turn hast properties into an attribute record, without values that have
+ * both `"` and `'`: those can't be quoted, so they are reported and dropped.
+ * @param {Readonly<Properties>} properties
+ * @param {Nodes} node
+ * @param {VFile} file
+ * @returns {Record<string, string>}
+ */
+function toQuotableAttributes(properties, node, file) {
+  const attributes = toAttributes(properties)
+
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value.includes('"') && value.includes("'")) {
+      file.message('Cannot write attribute `' + key + '`: its value has both `"` and `\'`', {
+        place: node.position,
+        ruleId: 'unquotable-attribute',
+        source: 'remark-attributes'
+      })
+      delete attributes[key]
+    }
+  }
+
+  return attributes
+}
+
+/**
+ * Turn hast properties into an attribute record as `attributesFromMarkdown`
+ * creates them: HTML attribute names with string values.
+ * @param {Readonly<Properties>} properties
+ * @returns {Record<string, string>}
+ */
+export function toAttributes(properties) {
+  /** @type {Record<string, string>} */
+  const attributes = {}
+
+  for (const [key, value] of Object.entries(properties)) {
+    if (value === null || value === undefined || value === false) continue
+    if (typeof value === 'number' && Number.isNaN(value)) continue
+
+    const info = find(html, key)
+    /** @type {string} */
+    let result
+
+    if (value === true) {
+      result = ''
+    } else if (Array.isArray(value)) {
+      result = info.commaSeparated ? commas(value) : spaces(value)
+    } else {
+      result = String(value)
+    }
+
+    if (info.attribute === 'class' && result === '') continue
+    attributes[info.attribute] = result
+  }
+
+  return attributes
+}
+
+/**
+ * Check if a node is a paragraph that only holds an attribute node.
+ * @param {Nodes} node
+ * @returns {boolean}
+ */
+function isAttributesParagraph(node) {
+  return (
+    node.type === 'paragraph' &&
+    node.children.length === 1 &&
+    node.children[0].type === 'mdastAttributes'
+  )
+}
@@ -0,0 +1,49 @@
+/**
+ * Serialize an attribute record to attribute syntax (`{#id .a key="v"}`).
+ *
+ * The id and classes come first, using the shorthand where possible.
+ * @param {Readonly<Record<string, string>>} attributes
+ * @returns {string}
+ */
+export function serializeAttributes(attributes) {
+  /** @type {Array<string>} */
+  const parts = []
+  const {id, class: className, ...rest} = attributes
+  const classes = className ? className.split(' ').filter(Boolean) : []
+
+  if (id !== undefined && isShorthand(id)) {
+    parts.push('#' + id)
+  } else if (id !== undefined) {
+    rest.id = id
+  }
+
+  if (classes.every(isShorthand)) {
+    for (const cls of classes) parts.push('.' + cls)
+  } else {
+    rest.class = classes.join(' ')
+  }
+
+  for (const [key, value] of Object.entries(rest)) {
+    parts.push(key + '=' + quote(value))
+  }
+
+  return '{' + parts.join(' ') + '}'
+}
+
+/**
+ * Check if a value can be written as `#id` or `.class`.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isShorthand(value) {
+  return /^[^\s"'=<>`{}#.]+$/.test(value)
+}
+
+/**
+ * Quote an attribute value, preferring double quotes.
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+  return value.includes('"') ? "'" + value + "'" : '"' + value + '"'
+}
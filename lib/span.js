@@ -0,0 +1,249 @@
+/**
+ * @import {Nodes, Parents, PhrasingContent, Text} from 'mdast'
+ * @import {Handle, Options as ToMarkdownOptions} from 'mdast-util-to-markdown'
+ * @import {Point, Position} from 'unist'
+ * @import {VFile} from 'vfile'
+ */
+
+/**
+ * @typedef BracketedSpan
+ *   Span around inline content with attributes (`[some words]{.smallcaps}`).
+ * @property {'bracketedSpan'} type
+ * @property {Array<PhrasingContent>} children
+ * @property {{hName: 'span'}} data
+ * @property {Position} [position]
+ *
+ * @typedef TextInfo
+ *   Where the characters of a text node are in the source.
+ * @property {Array<number> | undefined} offsets
+ *   Source offset of each character in the value, if known.
+ * @property {Set<number>} escaped
+ *   Indices of characters that are escaped in the source (`\[`).
+ */
+
+const asciiPunctuation = /[!-/:-@[-`{-~]/
+
+/**
+ * Extension to serialize bracketed spans (`[some words]`); their attributes
+ * are separate `mdastAttributes` nodes after them.
+ * @type {ToMarkdownOptions}
+ */
+export const spanToMarkdown = {
+  handlers: {
+    bracketedSpan: /** @type {Handle} */ (
+      function (node, _, state, info) {
+        const tracker = state.createTracker(info)
+        let value = tracker.move('[')
+        value += tracker.move(
+          state.containerPhrasing(node, {before: value, after: ']', ...tracker.current()})
+        )
+        value += tracker.move(']')
+        return value
+      }
+    )
+  }
+}
+
+/**
+ * Turn brackets directly before attributes into bracketed spans:
+ * `[some words]{.smallcaps}` becomes a `bracketedSpan` around `some words`,
+ * followed by the attributes, so they can attach to it.
+ *
+ * Only plain text brackets are used: links, link references, and escaped
+ * brackets (`\[`) are left alone.
+ * Brackets can enclose other inline content, including other spans.
+ *
+ * @param {Parents} parent
+ * @param {VFile | undefined} file
+ *   File, to find escaped brackets in its source.
+ */
+export function createBracketedSpans(parent, file) {
+  const source = file && file.value !== undefined ? String(file.value) : undefined
+  /** @type {Map<Text, TextInfo>} */
+  const cache = new Map()
+  visit(parent)
+
+  /**
+   * @param {Parents} node
+   */
+  function visit(node) {
+    for (const child of node.children) {
+      if ('children' in child) visit(child)
+    }
+
+    const children = /** @type {Array<Nodes>} */ (node.children)
+
+    for (let index = 1; index < children.length; index++) {
+      const close = children[index - 1]
+
+      if (
+        children[index].type !== 'mdastAttributes' ||
+        close.type !== 'text' ||
+        !close.value.endsWith(']') ||
+        getInfo(close).escaped.has(close.value.length - 1) ||
+        close.position?.end.offset === undefined ||
+        close.position.end.offset !== children[index].position?.start.offset
+      ) {
+        continue
+      }
+
+      const open = findOpening(children, index - 1)
+      if (!open) continue
+
+      const [start, at] = open
+      const opener = /** @type {Text} */ (children[start])
+      /** @type {Array<PhrasingContent>} */
+      const inner = []
+
+      if (start === index - 1) {
+        pushText(inner, opener, at + 1, opener.value.length - 1)
+      } else {
+        pushText(inner, opener, at + 1, opener.value.length)
+        inner.push(.../** @type {Array<PhrasingContent>} */ (children.slice(start + 1, index - 1)))
+        pushText(inner, close, 0, close.value.length - 1)
+      }
+
+      /** @type {BracketedSpan} */
+      const span = {type: 'bracketedSpan', children: inner, data: {hName: 'span'}}
+      // Without a known offset of the bracket, start at its text node.
+      const spanStart = pointAt(opener, at) || opener.position?.start
+      if (spanStart && close.position) {
+        span.position = {start: spanStart, end: close.position.end}
+      }
+
+      /** @type {Array<Nodes>} */
+      const replacement = []
+      pushText(replacement, opener, 0, at)
+      replacement.push(/** @type {Nodes} */ (/** @type {unknown} */ (span)))
+      children.splice(start, index - start, ...replacement)
+      // Continue after the attributes, which now directly follow the span.
+      index = start + replacement.length
+    }
+  }
+
+  /**
+   * Find the unmatched, unescaped `[` for the `]` at the end of the text at
+   * `end`.
+   * @param {Array<Nodes>} children
+   * @param {number} end
+   * @returns {[number, number] | undefined}
+   *   Index of the text node and of the bracket in its value.
+   */
+  function findOpening(children, end) {
+    let depth = 0
+
+    for (let index = end; index >= 0; index--) {
+      const child = children[index]
+      if (child.type !== 'text') continue
+      const {escaped} = getInfo(child)
+      let at = index === end ? child.value.length - 1 : child.value.length
+
+      while (at--) {
+        if (escaped.has(at)) continue
+        const code = child.value.charAt(at)
+
+        if (code === ']') {
+          depth++
+        } else if (code === '[') {
+          if (depth === 0) return [index, at]
+          depth--
+        }
+      }
+    }
+
+    return undefined
+  }
+
+  /**
+   * Add a slice of a text node to a list, if it isn't empty.
+   * @param {Array<Nodes>} list
+   * @param {Text} node
+   * @param {number} from
+   * @param {number} to
+   */
+  function pushText(list, node, from, to) {
+    if (to <= from) return
+    /** @type {Text} */
+    const text = {type: 'text', value: node.value.slice(from, to)}
+    const start = pointAt(node, from)
+    const end = to === node.value.length ? node.position?.end : pointAt(node, to)
+    if (start && end) text.position = {start, end}
+    list.push(text)
+  }
+
+  /**
+   * Get the point of a character in a text node, if known.
+   * @param {Text} node
+   * @param {number} index
+   * @returns {Point | undefined}
+   */
+  function pointAt(node, index) {
+    const position = node.position
+    const {offsets} = getInfo(node)
+    if (!position) return undefined
+    if (index === 0) return position.start
+    if (!source || !offsets) return undefined
+
+    const offset = offsets[index]
+    const base = position.start.offset
+    if (offset === undefined || base === undefined) return undefined
+    let line = position.start.line
+    let column = position.start.column
+
+    for (let at = base; at < offset; at++) {
+      if (source.charAt(at) === '\n') {
+        line++
+        column = 1
+      } else {
+        column++
+      }
+    }
+
+    return {line, column, offset}
+  }
+
+  /**
+   * Map the characters of a text node to the source.
+   *
+   * When the value doesn't follow from the source with only character
+   * escapes (such as with character references), the offsets are unknown
+   * and no character counts as escaped.
+   * @param {Text} node
+   * @returns {TextInfo}
+   */
+  function getInfo(node) {
+    let info = cache.get(node)
+    if (info) return info
+    info = {offsets: undefined, escaped: new Set()}
+    cache.set(node, info)
+
+    const start = node.position?.start.offset
+    const end = node.position?.end.offset
+    if (!source || start === undefined || end === undefined) return info
+
+    /** @type {Array<number>} */
+    const offsets = []
+    /** @type {Set<number>} */
+    const escaped = new Set()
+    let value = ''
+    let at = start
+
+    while (at < end) {
+      if (source.charAt(at) === '\\' && at + 1 < end && asciiPunctuation.test(source.charAt(at + 1))) {
+        escaped.add(value.length)
+        at++
+      }
+
+      offsets.push(at)
+      value += source.charAt(at)
+      at++
+    }
+
+    if (value === node.value) {
+      info.offsets = offsets
+      info.escaped = escaped
+    }
+
+    return info
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * @import {Html, Nodes, Parents, Root} from 'mdast'
+ * @import {MdastAttributes} from './index.js'
+ */
+
+/**
+ * @typedef StripOptions
+ *   Configuration (optional).
+ * @property {boolean | null | undefined} [anchors=false]
+ *   Keep the ids of headings as HTML anchors (`# <a id="intro"></a>Intro`),
+ *   so that links to them still work (default: `false`).
+ */
+
+/** @type {Readonly<StripOptions>} */
+const emptyOptions = {}
+
+/**
+ * Plugin to remove attribute syntax, without attaching anything.
+ *
+ * Use it after `remarkAttributesParse` (instead of the transform) to
+ * serialize markdown for tools that don't support attributes:
+ *
+ * - `mdastAttributes` nodes are removed, with the whitespace before them at
+ *   the end of a block; paragraphs that only held attributes are removed
+ * - `data.mdastAttributes` on code and definitions is removed
+ * - Attribute children of thematic breaks are removed
+ * - Bracketed spans are replaced by their content
+ * - Extra table cells that only held row attributes are removed, and rows
+ *   that only held attributes (`{^ .x}` after a table)
+ *
+ * @param {Readonly<StripOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {(tree: Root) => Root}
+ *   Transform function.
+ */
+export function remarkAttributesStrip(options) {
+  const settings = options || emptyOptions
+  const anchors = settings.anchors === true
+
+  return function (tree) {
+    stripInParent(tree, anchors)
+    return tree
+  }
+}
+
+/**
+ * Remove attribute syntax from the children of a node.
+ * @param {Parents} parent
+ * @param {boolean} anchors
+ */
+function stripInParent(parent, anchors) {
+  const children = /** @type {Array<Nodes>} */ (parent.children)
+  /** @type {Array<Html>} */
+  const headingAnchors = []
+  let index = 0
+
+  while (index < children.length) {
+    const child = children[index]
+
+    if (child.type === 'mdastAttributes') {
+      const attributes = /** @type {MdastAttributes} */ (child).attributes
+      if (anchors && parent.type === 'heading') pushAnchor(headingAnchors, attributes.id)
+      children.splice(index, 1)
+      if (index === children.length) trimEnd(children)
+      continue
+    }
+
+    if (child.type === 'paragraph') {
+      const attrNode = child.children.length === 1 ? child.children[0] : undefined
+      const next = children[index + 1]
+
+      // Attributes on the line before a heading (`{#intro}\n# Intro`).
+      if (
+        anchors &&
+        attrNode &&
+        attrNode.type === 'mdastAttributes' &&
+        next &&
+        next.type === 'heading' &&
+        child.position &&
+        next.position &&
+        next.position.start.line === child.position.end.line + 1
+      ) {
+        /** @type {Array<Html>} */
+        const before = []
+        pushAnchor(before, /** @type {MdastAttributes} */ (attrNode).attributes.id)
+        next.children.unshift(...before)
+      }
+    }
+
+    if (child.type === 'tableRow') {
+      const lastCell = child.children[child.children.length - 1]
+
+      if (lastCell && lastCell.children.length === 1 && lastCell.children[0].type === 'mdastAttributes') {
+        // A row of only attributes is a line after the table (`{^ .x}`).
+        if (child.children.length === 1 && index > 0) {
+          children.splice(index, 1)
+          continue
+        }
+
+        if (child.children.length > 1) child.children.pop()
+      }
+    }
+
+    if (child.type === 'thematicBreak' && 'children' in child) {
+      delete child.children
+    }
+
+    if ((child.type === 'code' || child.type === 'definition') && child.data) {
+      delete child.data.mdastAttributes
+    }
+
+    if ('children' in child) {
+      const empty = child.children.length === 0
+      stripInParent(child, anchors)
+
+      if (child.type === 'paragraph' && !empty && child.children.length === 0) {
+        children.splice(index, 1)
+        continue
+      }
+
+      if (/** @type {string} */ (child.type) === 'bracketedSpan') {
+        const content = /** @type {Array<Nodes>} */ (child.children)
+        children.splice(index, 1, ...content)
+        index += content.length
+        continue
+      }
+    }
+
+    index++
+  }
+
+  if (headingAnchors.length > 0) {
+    children.unshift(...headingAnchors)
+  }
+}
+
+/**
+ * Remove whitespace at the end of the last child, if it's text, and the
+ * text if nothing is left.
+ * @param {Array<Nodes>} children
+ */
+function trimEnd(children) {
+  const last = children[children.length - 1]
+
+  if (last && last.type === 'text') {
+    last.value = last.value.trimEnd()
+    if (!last.value) children.pop()
+  }
+}
+
+/**
+ * Add an anchor for an id, if there is one.
+ * @param {Array<Html>} list
+ * @param {string | undefined} id
+ */
+function pushAnchor(list, id) {
+  if (id) {
+    list.push({type: 'html', value: '<a id="' + escapeAttribute(id) + '"></a>'})
+  }
+}
+
+/**
+ * Escape a value for use in a double-quoted HTML attribute.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
+}
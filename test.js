@@ -8,7 +8,15 @@ import {unified} from 'unified'
 import remarkParse from 'remark-parse'
 import remarkRehype from 'remark-rehype'
 import rehypeStringify from 'rehype-stringify'
+import remarkGfm from 'remark-gfm'
+import remarkMath from 'remark-math'
 import remarkAttributes from './lib/index.js'
+import {remarkAttributesRestore} from './lib/restore.js'
+import remarkStringify from 'remark-stringify'
+import rehypeParse from 'rehype-parse'
+import rehypeRemark from 'rehype-remark'
+import {attributesFromHast} from './lib/from-hast.js'
+import {remarkAttributesStrip} from './lib/strip.js'
 
 /**
  * Parse markdown to mdast with attributes (phase 1 only - creates mdastAttributes nodes)
@@ -337,10 +345,9 @@ test('remark-attributes: edge cases', async (t) => {
     assert.ok(html.includes('<em>em</em>'))
   })
 
-  await t.test('standalone attributes become paragraph attributes', async () => {
-    // A line with just {.class} is a paragraph with trailing attributes
+  await t.test('standalone attributes without a block after them stay text', async () => {
     const html = await toHtml('{.orphan}')
-    assert.ok(html.includes('<p class="orphan">'))
+    assert.equal(html, '<p>{.orphan}</p>')
   })
 
   await t.test('attributes in middle of text stay as text', async () => {
@@ -695,9 +702,1656 @@ test('remark-attributes: thematic break positions', async (t) => {
     assert.deepEqual(hr.data?.hProperties, {
       id: 'id',
       className: ['class'],
-      'data-test': 'value'
+      dataTest: 'value'
     })
   })
 })
 
+// =============================================================================
+// Options
+// =============================================================================
+
+/**
+ * Convert markdown to HTML with the two-phase plugins and transform options
+ * @param {string} markdown
+ * @param {import('./lib/index.js').Options} options
+ * @returns {Promise<string>}
+ */
+async function toHtmlWithOptions(markdown, options) {
+  const result = await unified()
+    .use(remarkParse)
+    .use(remarkAttributesParse)
+    .use(remarkAttributesTransform, options)
+    .use(remarkRehype)
+    .use(rehypeStringify)
+    .process(markdown)
+
+  return String(result)
+}
+
+test('remark-attributes: options', async (t) => {
+  await t.test('combined plugin accepts options', async () => {
+    const result = await unified()
+      .use(remarkParse)
+      .use(remarkAttributes, {inlineTypes: ['strong']})
+      .use(remarkRehype)
+      .use(rehypeStringify)
+      .process('**a**{.x} *b*{.y}')
+    assert.ok(String(result).includes('<strong class="x">a</strong>'))
+    assert.ok(String(result).includes('<em>b</em>'))
+  })
+
+  await t.test('inlineTypes replaces the inline targets', async () => {
+    const html = await toHtmlWithOptions('*em*{.x}', {inlineTypes: ['strong']})
+    assert.ok(html.includes('<em>em</em>'))
+    // Last child of the paragraph, so it attaches there instead
+    assert.ok(html.includes('<p class="x">'))
+  })
+
+  await t.test('standalone: false leaves separate-line attributes as orphans', async () => {
+    const file = await processWithOptions('{.x}\n> quote', {standalone: false, orphans: 'warn'})
+    assert.equal(String(file), '<p>{.x}</p>\n<blockquote>\n<p>quote</p>\n</blockquote>')
+    assert.ok(file.messages[0].reason.includes('standalone attributes are turned off'))
+  })
+
+  await t.test('trailing: false leaves trailing attributes as text', async () => {
+    const html = await toHtmlWithOptions('Paragraph. {.note}', {trailing: false})
+    assert.ok(html.includes('<p>Paragraph. {.note}</p>'))
+  })
+
+  await t.test('orphans: drop removes unattachable attributes', async () => {
+    const html = await toHtmlWithOptions('before {.class} after', {orphans: 'drop'})
+    assert.ok(!html.includes('{.class}'))
+    assert.ok(html.includes('before'))
+    assert.ok(html.includes('after'))
+  })
+
+  await t.test('promoteTightLists: false keeps attributes on the paragraph', () => {
+    const processor = unified()
+      .use(remarkParse)
+      .use(remarkAttributesParse)
+      .use(remarkAttributesTransform, {promoteTightLists: false})
+    const tree = processor.runSync(processor.parse('* foo\n* bar {.red}'))
+    const listItem = tree.children[0].children[1]
+    assert.equal(listItem.data?.hProperties, undefined)
+    assert.deepEqual(listItem.children[0].data?.hProperties, {className: ['red']})
+  })
+
+  await t.test('conflict: first-wins keeps the first value', () => {
+    const processor = unified()
+      .use(remarkParse)
+      .use(remarkAttributesParse)
+      .use(remarkAttributesTransform, {conflict: 'first-wins'})
+    const tree = processor.runSync(processor.parse('{title="a"}\n# Heading {title="b"}'))
+    assert.equal(tree.children[0].data?.hProperties?.title, 'a')
+  })
+
+  await t.test('conflict: last-wins is the default', () => {
+    const tree = parseAndTransform('{title="a"}\n# Heading {title="b"}')
+    assert.equal(tree.children[0].data?.hProperties?.title, 'b')
+  })
+})
+
+// =============================================================================
+// Safe Mode
+// =============================================================================
+
+/**
+ * Process markdown to HTML with transform options, returning the file
+ * @param {string} markdown
+ * @param {import('./lib/index.js').Options} options
+ */
+async function processWithOptions(markdown, options) {
+  return unified()
+    .use(remarkParse)
+    .use(remarkAttributesParse)
+    .use(remarkAttributesTransform, options)
+    .use(remarkRehype)
+    .use(rehypeStringify)
+    .process(markdown)
+}
+
+test('remark-attributes: safe mode', async (t) => {
+  await t.test('unsafe attributes pass through by default', async () => {
+    const html = await toHtml('*em*{onclick="alert(1)"}')
+    assert.ok(html.includes('onclick="alert(1)"'))
+  })
+
+  await t.test('drops event handlers, style, and srcdoc', async () => {
+    const file = await processWithOptions('*em*{.ok onclick="x" style="color:red" srcdoc="y"}', {safe: true})
+    const html = String(file)
+    assert.ok(html.includes('<em class="ok">em</em>'))
+    assert.ok(!html.includes('onclick'))
+    assert.ok(!html.includes('style'))
+    assert.ok(!html.includes('srcdoc'))
+    assert.equal(file.messages.length, 3)
+  })
+
+  await t.test('reports drops at the attribute position', async () => {
+    const file = await processWithOptions('# Heading {onclick="x"}', {safe: true})
+    const message = file.messages[0]
+    assert.equal(message.ruleId, 'unsafe-attribute')
+    assert.equal(message.source, 'remark-attributes')
+    assert.equal(message.place?.start.column, 11)
+  })
+
+  await t.test('drops javascript: URLs', async () => {
+    const file = await processWithOptions('[a](url){href="javascript:alert(1)"}', {safe: true})
+    assert.ok(!String(file).includes('javascript:'))
+    assert.equal(file.messages[0].ruleId, 'unsafe-protocol')
+  })
+
+  await t.test('checks property names as the attributes they turn into', async () => {
+    const file = await processWithOptions(
+      '*em*{xLinkHref="javascript:alert(1)" formAction="/x" title="t"}',
+      {safe: true}
+    )
+    assert.equal(String(file), '<p><em title="t">em</em></p>')
+    assert.deepEqual(
+      file.messages.map((d) => d.ruleId),
+      ['unsafe-protocol', 'unsafe-attribute']
+    )
+  })
+
+  await t.test('checks every URL in srcset and ping', async () => {
+    const file = await processWithOptions(
+      '![a](a.png){srcSet="a.png 1x, javascript:alert(1) 2x"} [b](b){ping="/p javascript:x"}',
+      {safe: true}
+    )
+    assert.equal(String(file), '<p><img src="a.png" alt="a"> <a href="b">b</a></p>')
+    assert.equal(file.messages.length, 2)
+  })
+
+  await t.test('keeps safe URLs in srcset', async () => {
+    const html = String(await processWithOptions('![a](a.png){srcset="a.png 1x, /b.png 2x"}', {safe: true}))
+    assert.ok(html.includes('srcset="a.png 1x, /b.png 2x"'))
+  })
+
+  await t.test('keeps relative and allowed URLs', async () => {
+    const html = String(await processWithOptions('![a](a.png){data-x="1" longdesc="/about#x"}', {safe: true}))
+    assert.ok(html.includes('longdesc="/about#x"'))
+    assert.ok(html.includes('data-x="1"'))
+  })
+
+  await t.test('allow list drops everything else', async () => {
+    const html = String(await processWithOptions('*em*{#a .b title="c"}', {safe: {allow: ['id', 'class']}}))
+    assert.ok(html.includes('<em id="a" class="b">'))
+    assert.ok(!html.includes('title'))
+  })
+
+  await t.test('custom deny list and protocols', async () => {
+    const html = String(await processWithOptions(
+      '[a](x){title="t" href="ftp://example.com"}',
+      {safe: {deny: ['title'], protocols: ['ftp']}}
+    ))
+    assert.ok(!html.includes('title'))
+    assert.ok(html.includes('href="ftp://example.com"'))
+  })
+
+  await t.test('filters code block attributes', async () => {
+    const file = await processWithOptions('```js {.hl onmouseover="x"}\ncode\n```', {safe: true})
+    assert.ok(!String(file).includes('onmouseover'))
+    assert.equal(file.messages[0].place?.start.line, 1)
+  })
+})
+
+// =============================================================================
+// Extra Inline Targets
+// =============================================================================
+
+test('remark-attributes: extra inline targets', async (t) => {
+  await t.test('strikethrough (remark-gfm)', async () => {
+    const result = await unified()
+      .use(remarkParse)
+      .use(remarkGfm)
+      .use(remarkAttributes)
+      .use(remarkRehype)
+      .use(rehypeStringify)
+      .process('Some ~~struck~~{.x} text.')
+    assert.ok(String(result).includes('<del class="x">struck</del>'))
+  })
+
+  await t.test('footnote reference (remark-gfm)', () => {
+    const processor = unified()
+      .use(remarkParse)
+      .use(remarkGfm)
+      .use(remarkAttributes)
+    const tree = processor.runSync(processor.parse('Text[^1]{.fn} more.\n\n[^1]: Note.'))
+    const reference = tree.children[0].children[1]
+    assert.equal(reference.type, 'footnoteReference')
+    assert.deepEqual(reference.data?.hProperties, {className: ['fn']})
+  })
+
+  await t.test('inline math (remark-math)', async () => {
+    const result = await unified()
+      .use(remarkParse)
+      .use(remarkMath)
+      .use(remarkAttributes)
+      .use(remarkRehype)
+      .use(rehypeStringify)
+      .process('Math $y${.eq} here.')
+    const html = String(result)
+    assert.ok(/<code class="[^"]*math-inline[^"]*eq"[^>]*>y<\/code>/.test(html))
+  })
+
+  await t.test('extraInlineTypes adds custom types', () => {
+    // Plugin between phases that turns emphasis into a custom inline node
+    function toCustom() {
+      return function (tree) {
+        tree.children[0].children[0].type = 'custom'
+      }
+    }
+
+    const processor = unified()
+      .use(remarkParse)
+      .use(remarkAttributesParse)
+      .use(toCustom)
+      .use(remarkAttributesTransform, {extraInlineTypes: ['custom']})
+    const tree = processor.runSync(processor.parse('*x*{.y} text'))
+    const custom = tree.children[0].children[0]
+    assert.equal(custom.type, 'custom')
+    assert.deepEqual(custom.data?.hProperties, {className: ['y']})
+  })
+
+  await t.test('registered types are not trailing attachment parents', () => {
+    const processor = unified()
+      .use(remarkParse)
+      .use(remarkAttributesParse)
+      .use(function () {
+        return function (tree) {
+          tree.children[0].children[0].type = 'custom'
+        }
+      })
+      .use(remarkAttributesTransform, {extraInlineTypes: ['custom']})
+    const tree = processor.runSync(processor.parse('*x {.y}* text'))
+    const custom = tree.children[0].children[0]
+    assert.equal(custom.data?.hProperties, undefined)
+  })
+})
+
+// =============================================================================
+// Tables
+// =============================================================================
+
+/**
+ * Convert markdown with GFM to HTML with attributes
+ * @param {string} markdown
+ * @returns {Promise<string>}
+ */
+async function gfmToHtml(markdown) {
+  const result = await unified()
+    .use(remarkParse)
+    .use(remarkGfm)
+    .use(remarkAttributes)
+    .use(remarkRehype)
+    .use(rehypeStringify)
+    .process(markdown)
+
+  return String(result)
+}
+
+test('remark-attributes: tables', async (t) => {
+  await t.test('separate line attributes attach to table', async () => {
+    const html = await gfmToHtml('{.table}\n| a | b |\n| - | - |\n| 1 | 2 |')
+    assert.ok(html.includes('<table class="table">'))
+  })
+
+  await t.test('trailing attributes in a cell attach to the cell', async () => {
+    const html = await gfmToHtml('| a | b |\n| - | - |\n| 1 | 2 {.num} |')
+    assert.ok(html.includes('<td class="num">2 </td>'))
+    assert.ok(!html.includes('{.num}'))
+  })
+
+  await t.test('trailing attributes in a header cell attach to the cell', async () => {
+    const html = await gfmToHtml('| a {.key} | b |\n| - | - |\n| 1 | 2 |')
+    assert.ok(html.includes('<th class="key">a </th>'))
+  })
+
+  await t.test('attributes-only last cell attaches to the row', async () => {
+    const html = await gfmToHtml('| a | b |\n| - | - |\n| Total | 3 | {.total}')
+    assert.ok(html.includes('<tr class="total">'))
+    assert.ok(!html.includes('{.total}'))
+  })
+
+  await t.test('row attributes remove the extra cell', () => {
+    const processor = unified()
+      .use(remarkParse)
+      .use(remarkGfm)
+      .use(remarkAttributes)
+    const tree = processor.runSync(processor.parse('| a | b |\n| - | - |\n| 1 | 2 | {#r1 .total} |'))
+    const row = tree.children[0].children[1]
+    assert.equal(row.type, 'tableRow')
+    assert.equal(row.children.length, 2)
+    assert.deepEqual(row.data?.hProperties, {id: 'r1', className: ['total']})
+  })
+
+  await t.test('cell and row attributes together', async () => {
+    const html = await gfmToHtml('| a | b |\n| - | - |\n| 1 | 2 {.num} | {.total}')
+    assert.ok(html.includes('<tr class="total">'))
+    assert.ok(html.includes('<td class="num">'))
+  })
+
+  await t.test('row attributes keep an empty column that the author wrote', async () => {
+    const html = await gfmToHtml(
+      '| a | b |   |\n| - | - | - |\n| 1 | 2 |   |\n| 3 | 4 | {.total} |'
+    )
+    assert.ok(html.includes('<th></th>'))
+    assert.ok(html.includes('<tr class="total">'))
+  })
+})
+
+// =============================================================================
+// Orphan Diagnostics
+// =============================================================================
+
+test('remark-attributes: orphan diagnostics', async (t) => {
+  await t.test('orphans are silent by default', async () => {
+    const file = await processWithOptions('before {.class} after', {})
+    assert.equal(file.messages.length, 0)
+    assert.ok(String(file).includes('{.class}'))
+  })
+
+  await t.test('warn keeps text and reports the reason', async () => {
+    const file = await processWithOptions('before {.class} after', {orphans: 'warn'})
+    assert.ok(String(file).includes('{.class}'))
+    assert.equal(file.messages.length, 1)
+    const message = file.messages[0]
+    assert.equal(message.ruleId, 'orphan-attributes')
+    assert.equal(message.source, 'remark-attributes')
+    assert.equal(message.fatal, false)
+    assert.ok(message.reason.includes('no inline element directly before'))
+    assert.equal(message.place?.start.column, 8)
+  })
+
+  await t.test('warn reports space before inline element', async () => {
+    const file = await processWithOptions('*em* {.x} more', {orphans: 'warn'})
+    assert.ok(file.messages[0].reason.includes('space before inline element'))
+  })
+
+  await t.test('warn reports end of inline element', async () => {
+    const file = await processWithOptions('*em {.x}* more', {orphans: 'warn'})
+    assert.ok(file.messages[0].reason.includes('end of inline element `emphasis`'))
+  })
+
+  await t.test('warn reports blank line before block', async () => {
+    const file = await processWithOptions('{.x}\n\n# Heading', {orphans: 'warn'})
+    assert.equal(String(file), '<p>{.x}</p>\n<h1>Heading</h1>')
+    assert.equal(file.messages.length, 1)
+    assert.ok(file.messages[0].reason.includes('blank line before block'))
+    assert.equal(file.messages[0].place?.start.line, 1)
+  })
+
+  await t.test('text keeps a non-adjacent attribute paragraph as text', async () => {
+    const file = await processWithOptions('{.x}\n\n# Heading', {})
+    assert.equal(String(file), '<p>{.x}</p>\n<h1>Heading</h1>')
+    assert.equal(file.messages.length, 0)
+  })
+
+  await t.test('drop removes a non-adjacent attribute paragraph', async () => {
+    const html = String(await processWithOptions('{.x}\n\n# Heading', {orphans: 'drop'}))
+    assert.equal(html, '<h1>Heading</h1>')
+  })
+
+  await t.test('text keeps a trailing attribute paragraph as text', async () => {
+    const file = await processWithOptions('Text\n\n{.x}', {})
+    assert.equal(String(file), '<p>Text</p>\n<p>{.x}</p>')
+    assert.equal(file.messages.length, 0)
+  })
+
+  await t.test('warn reports no block after attributes', async () => {
+    const file = await processWithOptions('Text\n\n{.x}', {orphans: 'warn'})
+    assert.equal(String(file), '<p>Text</p>\n<p>{.x}</p>')
+    assert.equal(file.messages.length, 1)
+    assert.ok(file.messages[0].reason.includes('no block after attributes'))
+    assert.equal(file.messages[0].place?.start.line, 3)
+  })
+
+  await t.test('drop removes a trailing attribute paragraph', async () => {
+    const file = await processWithOptions('Text\n\n{.x}', {orphans: 'drop'})
+    assert.equal(String(file), '<p>Text</p>')
+  })
+
+  await t.test('fail throws on a trailing attribute paragraph', async () => {
+    await assert.rejects(
+      processWithOptions('Text\n\n{.x}', {orphans: 'fail'}),
+      /Cannot attach attributes `\{\.x\}`: no block after attributes/
+    )
+  })
+
+  await t.test('fail throws a fatal error', async () => {
+    await assert.rejects(
+      processWithOptions('before {.class} after', {orphans: 'fail'}),
+      /Cannot attach attributes `\{\.class\}`: no inline element directly before/
+    )
+  })
+
+  await t.test('attached attributes are not reported', async () => {
+    const file = await processWithOptions('*em*{.a} text. {.b}\n\n{.c}\n# H', {orphans: 'fail'})
+    assert.equal(file.messages.length, 0)
+  })
+})
+
+// =============================================================================
+// hast Property Names
+// =============================================================================
+
+test('remark-attributes: hast property names', async (t) => {
+  await t.test('keys become property names', () => {
+    const tree = parseAndTransform('*em*{tabindex="1" for="x" data-foo-bar="y" aria-label="z"}')
+    const emphasis = tree.children[0].children[0]
+    assert.deepEqual(emphasis.data?.hProperties, {
+      tabIndex: 1,
+      htmlFor: ['x'],
+      dataFooBar: 'y',
+      ariaLabel: 'z'
+    })
+  })
+
+  await t.test('boolean attributes become true', () => {
+    const tree = parseAndTransform('# Heading {hidden=""}')
+    assert.equal(tree.children[0].data?.hProperties?.hidden, true)
+  })
+
+  await t.test('space-separated values become lists', () => {
+    const tree = parseAndTransform('[a](b){rel="noopener noreferrer"}')
+    const link = tree.children[0].children[0]
+    assert.deepEqual(link.data?.hProperties?.rel, ['noopener', 'noreferrer'])
+  })
+
+  await t.test('numbers are typed', () => {
+    const tree = parseAndTransform('![a](b.png){width="100"}')
+    const image = tree.children[0].children[0]
+    assert.equal(image.data?.hProperties?.width, 100)
+  })
+
+  await t.test('HTML output is unchanged', async () => {
+    const html = await toHtml('[a](b){rel="noopener noreferrer" data-foo-bar="y" tabindex="1"}')
+    assert.ok(html.includes('rel="noopener noreferrer"'))
+    assert.ok(html.includes('data-foo-bar="y"'))
+    assert.ok(html.includes('tabindex="1"'))
+  })
+
+  await t.test('promoted list attributes keep their types', () => {
+    const tree = parseAndTransform('* foo\n* bar {.red tabindex="0"}')
+    const listItem = tree.children[0].children[1]
+    assert.deepEqual(listItem.data?.hProperties, {className: ['red'], tabIndex: 0})
+  })
+})
+
+// =============================================================================
+// Restore (hProperties → Markdown)
+// =============================================================================
+
+/**
+ * Parse, transform, restore, and serialize markdown
+ * @param {string} markdown
+ * @returns {Promise<string>}
+ */
+async function roundTrip(markdown) {
+  const result = await unified()
+    .use(remarkParse)
+    .use(remarkGfm)
+    .use(remarkAttributes)
+    .use(remarkAttributesRestore)
+    .use(remarkStringify)
+    .process(markdown)
+
+  return String(result)
+}
+
+test('remark-attributes: restore', async (t) => {
+  const documents = {
+    heading: '# Heading {#intro .title}',
+    'heading ending in inline element': '# A *b*{.c} {#d}',
+    'inline elements': 'Some *em*{.a} and [link](url){target="_blank"} and `code`{.c}.',
+    paragraph: 'A note. {.note data-x="1"}',
+    'fenced code': '```js {.highlight}\nconst x = 1\n```',
+    'tight list': '* a\n* b {.red}\n* c',
+    'loose list': '* a\n\n* b {.red}\n\n* c',
+    'list and blockquote': '{.my-list}\n* a\n* b\n\n{.quote}\n> quote',
+    'thematic break': 'Text.\n\n{#hr .fancy}\n---\n\nMore.',
+    table: '{.data}\n| a | b |\n| - | - |\n| 1 | 2 {.num} | {.total}'
+  }
+
+  for (const [name, markdown] of Object.entries(documents)) {
+    await t.test(name + ' round-trips to the same HTML', async () => {
+      const markdownAgain = await roundTrip(markdown)
+      assert.equal(await gfmToHtml(markdownAgain), await gfmToHtml(markdown))
+    })
+  }
+
+  await t.test('does not pad other rows for row attributes', async () => {
+    const markdown = await roundTrip('| a | b |\n| - | - |\n| 1 | 2 | {.total}')
+    assert.equal(markdown, '| a | b |\n| - | - |\n| 1 | 2 | {.total} |\n')
+  })
+
+  await t.test('writes attribute syntax', async () => {
+    const markdown = await roundTrip('# Heading {#intro .title}')
+    assert.ok(markdown.includes('{#intro .title}'))
+  })
+
+  await t.test('restores hProperties set by other plugins', async () => {
+    const result = await unified()
+      .use(remarkParse)
+      .use(function () {
+        return function (tree) {
+          tree.children[0].data = {hProperties: {id: 'x', className: ['a', 'b'], dataFoo: 'bar'}}
+        }
+      })
+      .use(remarkAttributesRestore)
+      .use(remarkStringify)
+      .process('# Heading')
+    assert.ok(String(result).includes('{#x .a .b data-foo="bar"}'))
+  })
+
+  await t.test('leaves out the language class of code', () => {
+    const processor = unified()
+      .use(remarkParse)
+      .use(remarkAttributes)
+      .use(remarkAttributesRestore)
+    const tree = processor.runSync(processor.parse('```js {.hl}\nx\n```'))
+    assert.deepEqual(tree.children[0].data?.mdastAttributes, {class: 'hl'})
+  })
+
+  await t.test('drops values with both kinds of quotes', async () => {
+    const file = await unified()
+      .use(remarkParse)
+      .use(function () {
+        return function (tree) {
+          tree.children[0].data = {hProperties: {className: ['a'], title: 'it\'s "x"'}}
+        }
+      })
+      .use(remarkAttributesRestore)
+      .use(remarkStringify)
+      .process('# Heading')
+    assert.ok(String(file).includes('{.a}'))
+    assert.ok(!String(file).includes('title'))
+    assert.equal(file.messages[0].ruleId, 'unquotable-attribute')
+  })
+})
+
+// =============================================================================
+// From hast (HTML → Markdown)
+// =============================================================================
+
+/**
+ * Convert HTML to markdown, keeping attributes
+ * @param {string} html
+ * @param {import('./lib/from-hast.js').FromHastOptions} [options]
+ * @returns {Promise<string>}
+ */
+async function htmlToMarkdown(html, options) {
+  const result = await unified()
+    .use(rehypeParse, {fragment: true})
+    .use(rehypeRemark, {handlers: attributesFromHast(options)})
+    .use(remarkGfm)
+    .use(remarkAttributesRestore)
+    .use(remarkStringify)
+    .process(html)
+
+  return String(result)
+}
+
+test('remark-attributes: from hast', async (t) => {
+  await t.test('stores properties in hProperties', () => {
+    const processor = unified()
+      .use(rehypeParse, {fragment: true})
+      .use(rehypeRemark, {handlers: attributesFromHast()})
+    const tree = processor.runSync(processor.parse('<h2 id="a" class="b c" data-x="1" title="t">H</h2>'))
+    assert.deepEqual(tree.children[0].data?.hProperties, {id: 'a', className: ['b', 'c'], dataX: '1'})
+  })
+
+  await t.test('keeps extra properties when asked', () => {
+    const processor = unified()
+      .use(rehypeParse, {fragment: true})
+      .use(rehypeRemark, {handlers: attributesFromHast({properties: ['lang']})})
+    const tree = processor.runSync(processor.parse('<p lang="de">Hallo</p>'))
+    assert.deepEqual(tree.children[0].data?.hProperties, {lang: 'de'})
+  })
+
+  await t.test('does not duplicate properties handled by default', () => {
+    const processor = unified()
+      .use(rehypeParse, {fragment: true})
+      .use(rehypeRemark, {handlers: attributesFromHast()})
+    const tree = processor.runSync(processor.parse('<p><a href="u" title="t">a</a></p>'))
+    assert.equal(tree.children[0].children[0].data?.hProperties, undefined)
+  })
+
+  await t.test('writes attribute syntax', async () => {
+    const markdown = await htmlToMarkdown('<h1 id="intro" class="title">Intro</h1>')
+    assert.ok(markdown.includes('{#intro .title}'))
+  })
+
+  const documents = {
+    heading: '<h1 id="intro" class="title">Intro</h1>',
+    paragraph: '<p class="note" data-kind="tip">A note.</p>',
+    'inline elements': '<p>Some <em class="a">em</em> and <a href="url" id="l">link</a>.</p>',
+    code: '<pre><code class="language-js hl">const x = 1\n</code></pre>',
+    list: '<ul class="my-list">\n<li>a</li>\n<li class="red">b</li>\n</ul>',
+    blockquote: '<blockquote class="quote">\n<p>quote</p>\n</blockquote>',
+    'thematic break': '<p>a</p>\n<hr class="fancy">\n<p>b</p>'
+  }
+
+  for (const [name, html] of Object.entries(documents)) {
+    await t.test(name + ' survives HTML → markdown → HTML', async () => {
+      const markdown = await htmlToMarkdown(html)
+      assert.equal(await gfmToHtml(markdown), html)
+    })
+  }
+})
+
+// =============================================================================
+// Merge Strategies
+// =============================================================================
+
+/**
+ * Parse and transform markdown with transform options
+ * @param {string} markdown
+ * @param {import('./lib/index.js').Options} options
+ * @returns {Root}
+ */
+function transformWithOptions(markdown, options) {
+  const processor = unified()
+    .use(remarkParse)
+    .use(remarkAttributesParse)
+    .use(remarkAttributesTransform, options)
+
+  return processor.runSync(processor.parse(markdown))
+}
+
+test('remark-attributes: merge strategies', async (t) => {
+  await t.test('separate-line attributes are applied before trailing ones', () => {
+    const tree = transformWithOptions('{title="a"}\n# Heading {title="b"}', {})
+    assert.equal(tree.children[0].data?.hProperties?.title, 'b')
+  })
+
+  await t.test('style merges CSS declarations', () => {
+    const tree = transformWithOptions('{style="color: red; margin: 0"}\n# H {style="color:blue"}', {})
+    assert.equal(tree.children[0].data?.hProperties?.style, 'margin: 0; color: blue')
+  })
+
+  await t.test('rel merges as tokens', () => {
+    const tree = transformWithOptions('{rel="noopener"}\n# H {rel="noopener noreferrer"}', {})
+    assert.deepEqual(tree.children[0].data?.hProperties?.rel, ['noopener', 'noreferrer'])
+  })
+
+  await t.test('aria-describedby merges as tokens', () => {
+    const tree = transformWithOptions('{aria-describedby="a"}\n# H {aria-describedby="b"}', {})
+    assert.deepEqual(tree.children[0].data?.hProperties?.ariaDescribedBy, ['a', 'b'])
+  })
+
+  await t.test('concat joins values', () => {
+    const tree = transformWithOptions('{title="a"}\n# H {title="b"}', {merge: {title: 'concat'}})
+    assert.equal(tree.children[0].data?.hProperties?.title, 'a b')
+  })
+
+  await t.test('per-key strategy overrides conflict', () => {
+    const tree = transformWithOptions(
+      '{title="a" data-x="1"}\n# H {title="b" data-x="2"}',
+      {conflict: 'first-wins', merge: {'data-x': 'last-wins'}}
+    )
+    assert.equal(tree.children[0].data?.hProperties?.title, 'a')
+    assert.equal(tree.children[0].data?.hProperties?.dataX, '2')
+  })
+
+  await t.test('style can be overridden', () => {
+    const tree = transformWithOptions('{style="color: red"}\n# H {style="margin: 0"}', {merge: {style: 'last-wins'}})
+    assert.equal(tree.children[0].data?.hProperties?.style, 'margin: 0')
+  })
+
+  await t.test('error fails on different values', () => {
+    assert.throws(
+      () => transformWithOptions('{title="a"}\n# H {title="b"}', {conflict: 'error'}),
+      /Unexpected conflicting values for `title`/
+    )
+  })
+
+  await t.test('error allows the same value twice', () => {
+    const tree = transformWithOptions('{title="a"}\n# H {title="a"}', {conflict: 'error'})
+    assert.equal(tree.children[0].data?.hProperties?.title, 'a')
+  })
+})
+
+// =============================================================================
+// Presets
+// =============================================================================
+
+test('remark-attributes: presets', async (t) => {
+  const presets = {
+    warning: {class: 'callout callout-warning', role: 'note', 'data-icon': 'warn'}
+  }
+
+  await t.test('preset class expands into its attributes', async () => {
+    const html = await toHtmlWithOptions('Careful. {.warning}', {presets})
+    assert.ok(html.includes('<p class="callout callout-warning" role="note" data-icon="warn">'))
+  })
+
+  await t.test('other classes and attributes are kept and win', () => {
+    const tree = transformWithOptions('Careful. {.warning .big role="alert"}', {presets})
+    assert.deepEqual(tree.children[0].data?.hProperties, {
+      className: ['callout', 'callout-warning', 'big'],
+      role: 'alert',
+      dataIcon: 'warn'
+    })
+  })
+
+  await t.test('expands on inline elements and code', () => {
+    const tree = transformWithOptions('*a*{.warning}\n\n```js {.warning}\nx\n```', {presets})
+    assert.equal(tree.children[0].children[0].data?.hProperties?.role, 'note')
+    assert.equal(tree.children[1].data?.hProperties?.role, 'note')
+  })
+
+  await t.test('reads presets from frontmatter', () => {
+    const processor = unified()
+      .use(remarkParse)
+      .use(remarkAttributesParse)
+      .use(function () {
+        return function (_, file) {
+          file.data.matter = {attributePresets: {tip: {class: 'callout', 'data-icon': 'tip'}}}
+        }
+      })
+      .use(remarkAttributesTransform, {matterPresets: true})
+    const tree = processor.runSync(processor.parse('Hint. {.tip}'))
+    assert.deepEqual(tree.children[0].data?.hProperties, {className: ['callout'], dataIcon: 'tip'})
+  })
+
+  await t.test('diagnostics use the position of the attribute block', async () => {
+    const file = await processWithOptions('# Title\n\nCareful. {.danger}', {
+      presets: {danger: {onclick: 'x'}},
+      safe: true
+    })
+    assert.equal(file.messages[0].place?.start.line, 3)
+    assert.equal(file.messages[0].place?.start.column, 10)
+  })
+})
+
+// =============================================================================
+// Sections
+// =============================================================================
+
+test('remark-attributes: sections', async (t) => {
+  await t.test('off by default', async () => {
+    const html = await toHtml('# A {#a}\n\nText.')
+    assert.ok(!html.includes('<section'))
+    assert.ok(html.includes('<h1 id="a">'))
+  })
+
+  await t.test('moves heading attributes to the section', async () => {
+    const html = await toHtmlWithOptions('# A {#a .intro}\n\nText.', {sections: true})
+    assert.ok(html.startsWith('<section id="a" class="intro"><h1>A </h1>'))
+    assert.ok(html.includes('<p>Text.</p></section>'))
+  })
+
+  await t.test('nests sections by heading rank', () => {
+    const tree = transformWithOptions('Intro.\n\n# A\n\na\n\n## B\n\nb\n\n## C\n\n# D\n\nd', {sections: true})
+    assert.deepEqual(
+      tree.children.map((node) => node.type),
+      ['paragraph', 'section', 'section']
+    )
+    const a = tree.children[1]
+    assert.deepEqual(a.children.map((node) => node.type), ['heading', 'paragraph', 'section', 'section'])
+    assert.equal(a.children[2].children.length, 2)
+    assert.equal(a.children[3].children.length, 1)
+    assert.equal(tree.children[2].children[0].depth, 1)
+  })
+
+  await t.test('sections have positions', () => {
+    const tree = transformWithOptions('# A\n\na\n\n## B\n\nb', {sections: true})
+    const section = tree.children[0]
+    assert.equal(section.position?.start.line, 1)
+    assert.equal(section.position?.end.line, 7)
+  })
+
+  await t.test('separate-line heading attributes move too', async () => {
+    const html = await toHtmlWithOptions('{#a}\n# A', {sections: true})
+    assert.ok(html.includes('<section id="a"><h1>A</h1></section>'))
+  })
+})
+
+// =============================================================================
+// Pandoc Dialect
+// =============================================================================
+
+test('remark-attributes: pandoc dialect', async (t) => {
+  await t.test('{-} means .unnumbered', () => {
+    const tree = transformWithOptions('# Preface {-}', {dialect: 'pandoc'})
+    assert.deepEqual(tree.children[0].data?.hProperties, {className: ['unnumbered']})
+  })
+
+  await t.test('{-} with other classes', () => {
+    const tree = transformWithOptions('# Preface {- .front}', {dialect: 'pandoc'})
+    assert.deepEqual(tree.children[0].data?.hProperties, {className: ['front', 'unnumbered']})
+  })
+
+  await t.test('first class of a bare code block is its language', async () => {
+    const tree = transformWithOptions('```{.python .numberLines}\nx = 1\n```', {dialect: 'pandoc'})
+    const code = tree.children[0]
+    assert.equal(code.lang, 'python')
+    assert.deepEqual(code.data?.hProperties, {className: ['language-python', 'numberLines']})
+  })
+
+  await t.test('code with an info string keeps its language', () => {
+    const tree = transformWithOptions('```js {.python}\nx\n```', {dialect: 'pandoc'})
+    assert.equal(tree.children[0].lang, 'js')
+  })
+
+  await t.test('bare code classes are not a language without the dialect', () => {
+    const tree = transformWithOptions('```{.python}\nx\n```', {})
+    assert.equal(tree.children[0].lang, null)
+  })
+
+  await t.test('image alone in a paragraph becomes a figure', async () => {
+    const html = await toHtmlWithOptions('![System overview](arch.png){#fig-arch .wide}', {dialect: 'pandoc'})
+    assert.equal(
+      html,
+      '<figure id="fig-arch"><img src="arch.png" alt="System overview" class="wide"><figcaption aria-hidden="true">System overview</figcaption></figure>'
+    )
+  })
+
+  await t.test('image with text around stays inline', async () => {
+    const html = await toHtmlWithOptions('See ![a](a.png){#x} here.', {dialect: 'pandoc'})
+    assert.ok(!html.includes('<figure'))
+    assert.ok(html.includes('id="x"'))
+  })
+
+  await t.test('image without alt text stays inline', async () => {
+    const html = await toHtmlWithOptions('![](a.png)', {dialect: 'pandoc'})
+    assert.ok(!html.includes('<figure'))
+  })
+
+  await t.test('combined plugin accepts the dialect', async () => {
+    const result = await unified()
+      .use(remarkParse)
+      .use(remarkAttributes, {dialect: 'pandoc'})
+      .use(remarkRehype)
+      .use(rehypeStringify)
+      .process('## Appendix {-}')
+    assert.equal(String(result), '<h2 class="unnumbered">Appendix </h2>')
+  })
+})
+
+// =============================================================================
+// Figures
+// =============================================================================
+
+test('remark-attributes: figures', async (t) => {
+  await t.test('caption attribute creates a numbered figure', async () => {
+    const html = await toHtmlWithOptions('![Diagram](arch.png){#fig-arch caption="System overview"}', {
+      figures: true
+    })
+    assert.equal(
+      html,
+      '<figure id="fig-arch"><img src="arch.png" alt="Diagram"><figcaption>Figure 1: System overview</figcaption></figure>'
+    )
+  })
+
+  await t.test('figure attribute uses the alt text as caption', async () => {
+    const html = await toHtmlWithOptions('![System overview](arch.png){figure .wide}', {
+      figures: {label: false}
+    })
+    assert.equal(
+      html,
+      '<figure><img src="arch.png" alt="System overview" class="wide"><figcaption aria-hidden="true">System overview</figcaption></figure>'
+    )
+  })
+
+  await t.test('custom label', async () => {
+    const html = await toHtmlWithOptions('![a](a.png){caption="Plot"}', {figures: {label: 'Fig.'}})
+    assert.ok(html.includes('<figcaption>Fig. 1: Plot</figcaption>'))
+  })
+
+  await t.test('figures are recorded on the file in document order', async () => {
+    const file = await processWithOptions(
+      '![a](a.png){#fig-a caption="First"}\n\nText.\n\n![b](b.png){#fig-b caption="Second"}',
+      {figures: true}
+    )
+    assert.deepEqual(
+      file.data.figures.map((d) => [d.id, d.number, d.caption]),
+      [
+        ['fig-a', 1, 'First'],
+        ['fig-b', 2, 'Second']
+      ]
+    )
+  })
+
+  await t.test('pandoc implicit figures are numbered too', async () => {
+    const file = await processWithOptions('![One](a.png){#fig-a}\n\n![](b.png){caption="Two"}', {
+      dialect: 'pandoc',
+      figures: true
+    })
+    assert.deepEqual(
+      file.data.figures.map((d) => d.id),
+      ['fig-a', undefined]
+    )
+  })
+
+  await t.test('caption attribute is kept without the option', async () => {
+    const html = await toHtmlWithOptions('![a](a.png){caption="x"}', {})
+    assert.equal(html, '<p><img src="a.png" alt="a" caption="x"></p>')
+  })
+
+  await t.test('warns for a figure image next to other content', async () => {
+    const file = await processWithOptions('See ![a](a.png){caption="x"} here.', {figures: true})
+    assert.equal(file.messages.length, 1)
+    assert.equal(file.messages[0].ruleId, 'figure-not-alone')
+  })
+})
+
+// =============================================================================
+// Element Overrides
+// =============================================================================
+
+test('remark-attributes: element overrides', async (t) => {
+  await t.test('changes the tag of a paragraph', async () => {
+    const html = await toHtmlWithOptions('Mind the gap. {el=aside .tip}', {element: true})
+    assert.equal(html, '<aside class="tip">Mind the gap. </aside>')
+  })
+
+  await t.test('changes the tag of an inline element', async () => {
+    const html = await toHtmlWithOptions('A *hot*{el=mark} take.', {element: true})
+    assert.equal(html, '<p>A <mark>hot</mark> take.</p>')
+  })
+
+  await t.test('changes the tag of a block with separate-line attributes', async () => {
+    const html = await toHtmlWithOptions('{el=figure}\n> Quote.', {element: true})
+    assert.ok(html.startsWith('<figure>'))
+    assert.ok(html.endsWith('</figure>'))
+  })
+
+  await t.test('custom key', async () => {
+    const tree = transformWithOptions('*a*{tag=mark}', {element: {key: 'tag'}})
+    const emphasis = tree.children[0].children[0]
+    assert.equal(emphasis.data?.hName, 'mark')
+    assert.deepEqual(emphasis.data?.hProperties, {})
+  })
+
+  await t.test('drops and reports tag names that are not allowed', async () => {
+    const file = await processWithOptions('*a*{el=script .x}', {element: true})
+    assert.equal(String(file), '<p><em class="x">a</em></p>')
+    assert.equal(file.messages.length, 1)
+    assert.equal(file.messages[0].ruleId, 'disallowed-element')
+  })
+
+  await t.test('custom allow list', async () => {
+    const html = await toHtmlWithOptions('A *b*{el=kbd} *c*{el=small}', {element: {allow: ['kbd']}})
+    assert.equal(html, '<p>A <kbd>b</kbd> <em>c</em></p>')
+  })
+
+  await t.test('the key is a normal attribute without the option', async () => {
+    const html = await toHtmlWithOptions('*a*{el=mark}', {})
+    assert.equal(html, '<p><em el="mark">a</em></p>')
+  })
+})
+
+// =============================================================================
+// Bracketed Spans
+// =============================================================================
+
+test('remark-attributes: bracketed spans', async (t) => {
+  await t.test('attributes on plain words', async () => {
+    const html = await toHtml('Read [the fine print]{.smallcaps} first.')
+    assert.equal(html, '<p>Read <span class="smallcaps">the fine print</span> first.</p>')
+  })
+
+  await t.test('span with inline content', async () => {
+    const html = await toHtml('[a *b* `c`]{#x}')
+    assert.equal(html, '<p><span id="x">a <em>b</em> <code>c</code></span></p>')
+  })
+
+  await t.test('nested spans', async () => {
+    const html = await toHtml('[a [b]{.inner} c]{.outer}')
+    assert.equal(html, '<p><span class="outer">a <span class="inner">b</span> c</span></p>')
+  })
+
+  await t.test('links keep their attributes', async () => {
+    const html = await toHtml('[text](https://example.com){.x}')
+    assert.equal(html, '<p><a href="https://example.com" class="x">text</a></p>')
+  })
+
+  await t.test('link references stay links', async () => {
+    const html = await toHtml('[text]{.x}\n\n[text]: https://example.com')
+    assert.ok(html.includes('<a href="https://example.com">text</a>'))
+    assert.ok(!html.includes('<span'))
+  })
+
+  await t.test('escaped brackets stay text', async () => {
+    const html = await toHtml('\\[text]{.x}')
+    assert.ok(!html.includes('<span'))
+  })
+
+  await t.test('space before attributes is not a span', async () => {
+    const html = await toHtml('Some [text] {.x}')
+    assert.ok(html.includes('<p class="x">Some [text]'))
+    assert.ok(!html.includes('<span'))
+  })
+
+  await t.test('parse phase creates span nodes', () => {
+    const processor = unified().use(remarkParse).use(remarkAttributesParse)
+    const tree = processor.runSync(processor.parse('[a]{.x}'))
+    const paragraph = tree.children[0]
+    assert.equal(paragraph.children[0].type, 'bracketedSpan')
+    assert.equal(paragraph.children[1].type, 'mdastAttributes')
+  })
+
+  await t.test('round trip', async () => {
+    const result = await roundTrip('Read [the fine print]{.smallcaps} first.')
+    assert.equal(result, 'Read [the fine print]{.smallcaps} first.\n')
+  })
+})
+
+// =============================================================================
+// Definition Attributes
+// =============================================================================
+
+test('remark-attributes: definition attributes', async (t) => {
+  await t.test('apply to every reference', async () => {
+    const html = await toHtml(
+      'See [the docs][docs] and [docs].\n\n[docs]: https://example.com {target="_blank" rel="noopener"}'
+    )
+    assert.equal(
+      html,
+      '<p>See <a href="https://example.com" target="_blank" rel="noopener">the docs</a> and <a href="https://example.com" target="_blank" rel="noopener">docs</a>.</p>'
+    )
+  })
+
+  await t.test('definition with title', async () => {
+    const html = await toHtml('[a]\n\n[a]: /url "Title" {.x}')
+    assert.equal(html, '<p><a href="/url" title="Title" class="x">a</a></p>')
+  })
+
+  await t.test('apply to image references', async () => {
+    const html = await toHtml('![Logo][logo]\n\n[logo]: logo.png {width="100"}')
+    assert.equal(html, '<p><img src="logo.png" alt="Logo" width="100"></p>')
+  })
+
+  await t.test('inline attributes on a reference override the definition', async () => {
+    const html = await toHtml('[a][docs]{target="_self" .b}\n\n[docs]: /url {target="_blank" .a}')
+    assert.equal(html, '<p><a href="/url" target="_self" class="b a">a</a></p>')
+  })
+
+  await t.test('definitions before their references', async () => {
+    const html = await toHtml('[docs]: /url {.x}\n\n[docs]')
+    assert.equal(html, '<p><a href="/url" class="x">docs</a></p>')
+  })
+
+  await t.test('the first definition of an identifier counts', async () => {
+    const html = await toHtml('[a]\n\n[a]: /one\n[a]: /two {.x}')
+    assert.equal(html, '<p><a href="/one">a</a></p>')
+  })
+
+  await t.test('text after the attributes is not a definition', async () => {
+    const html = await toHtml('[a]: /url {.x} more')
+    assert.ok(!html.includes('<a'))
+  })
+
+  await t.test('parse phase stores them on the definition', () => {
+    const tree = parse('[a]: /url {#b .c}')
+    assert.deepEqual(tree.children[0].data?.mdastAttributes, {id: 'b', class: 'c'})
+  })
+
+  await t.test('parse phase uses the same grammar as other attributes', () => {
+    const block = '{> #b .c .d key=\'say "hi"\' other=x flag}'
+    const definition = parse('[a]: /url ' + block).children[0]
+    const attrNode = parse(block).children[0].children[0]
+    assert.equal(attrNode.type, 'mdastAttributes')
+    assert.deepEqual(definition.data?.mdastAttributes, attrNode.attributes)
+  })
+
+  await t.test('safe mode applies', async () => {
+    const file = await processWithOptions('[a]\n\n[a]: /url {onclick="x"}', {safe: true})
+    assert.equal(String(file), '<p><a href="/url">a</a></p>')
+    assert.equal(file.messages[0].ruleId, 'unsafe-attribute')
+  })
+})
+
+// =============================================================================
+// Automatic Heading Ids
+// =============================================================================
+
+test('remark-attributes: autoId', async (t) => {
+  await t.test('generates GitHub slugs for headings without id', async () => {
+    const html = await toHtmlWithOptions('# Hello, *World*!\n\n## Getting started {.x}', {autoId: true})
+    assert.equal(
+      html,
+      '<h1 id="hello-world">Hello, <em>World</em>!</h1>\n<h2 class="x" id="getting-started">Getting started </h2>'
+    )
+  })
+
+  await t.test('explicit ids win', async () => {
+    const html = await toHtmlWithOptions('# Intro {#start}', {autoId: true})
+    assert.equal(html, '<h1 id="start">Intro </h1>')
+  })
+
+  await t.test('de-duplicates slugs', () => {
+    const tree = transformWithOptions('# A\n\n# A\n\n# A', {autoId: true})
+    assert.deepEqual(
+      tree.children.map((d) => d.data?.hProperties?.id),
+      ['a', 'a-1', 'a-2']
+    )
+  })
+
+  await t.test('never takes an explicit id that comes later', () => {
+    const tree = transformWithOptions('# Setup\n\n# Setup\n\nText. {#setup-1}', {autoId: true})
+    assert.deepEqual(
+      tree.children.map((d) => d.data?.hProperties?.id),
+      ['setup', 'setup-2', 'setup-1']
+    )
+  })
+
+  await t.test('exposes ids on the file', async () => {
+    const file = await processWithOptions('# One\n\n## Two {#second}', {autoId: true})
+    assert.deepEqual(
+      file.data.headingIds.map((d) => [d.id, d.generated, d.depth, d.text]),
+      [
+        ['one', true, 1, 'One'],
+        ['second', false, 2, 'Two']
+      ]
+    )
+  })
+
+  await t.test('off by default', () => {
+    const tree = parseAndTransform('# Title')
+    assert.equal(tree.children[0].data?.hProperties, undefined)
+  })
+})
+
+// =============================================================================
+// Id Registry
+// =============================================================================
+
+test('remark-attributes: id registry', async (t) => {
+  await t.test('collects ids with their node and position', async () => {
+    const file = await processWithOptions(
+      '# Setup {#setup}\n\nText. {#note}\n\n```js {#example}\nx\n```\n\n![a](a.png){#logo}',
+      {}
+    )
+    assert.deepEqual(
+      file.data.attributeIds.map((d) => [d.id, d.type, d.position?.start.line]),
+      [
+        ['setup', 'heading', 1],
+        ['note', 'paragraph', 3],
+        ['example', 'code', 5],
+        ['logo', 'image', 9]
+      ]
+    )
+  })
+
+  await t.test('includes generated heading ids', async () => {
+    const file = await processWithOptions('# Intro', {autoId: true})
+    assert.deepEqual(
+      file.data.attributeIds.map((d) => d.id),
+      ['intro']
+    )
+  })
+
+  await t.test('warns about duplicate ids', async () => {
+    const file = await processWithOptions('# A {#x}\n\nText. {#x}', {checkIds: true})
+    assert.equal(file.messages.length, 1)
+    assert.equal(file.messages[0].ruleId, 'duplicate-id')
+    assert.equal(file.messages[0].line, 3)
+    assert.match(file.messages[0].reason, /first used at 1:1/)
+  })
+
+  await t.test('warns about fragment links without target', async () => {
+    const file = await processWithOptions(
+      '# Setup {#setup}\n\nSee [setup](#setup), [usage](#usage), and [top](#).',
+      {checkIds: true}
+    )
+    assert.equal(file.messages.length, 1)
+    assert.equal(file.messages[0].ruleId, 'missing-id')
+    assert.match(file.messages[0].reason, /`usage`/)
+  })
+
+  await t.test('checks definitions too', async () => {
+    const file = await processWithOptions('[a]\n\n[a]: #nowhere', {checkIds: true})
+    assert.equal(file.messages[0].ruleId, 'missing-id')
+  })
+
+  await t.test('decodes fragments', async () => {
+    const file = await processWithOptions('Text. {id="café"}\n\n[a](#caf%C3%A9)', {checkIds: true})
+    assert.equal(file.messages.length, 0)
+  })
+
+  await t.test('no warnings by default', async () => {
+    const file = await processWithOptions('# A {#x}\n\nText. {#x} [b](#y)', {})
+    assert.equal(file.messages.length, 0)
+  })
+})
+
+// =============================================================================
+// Previous-Block Attributes
+// =============================================================================
+
+test('remark-attributes: previous-block marker', async (t) => {
+  await t.test('attaches to a code block before it', async () => {
+    const html = await toHtml('```js\nx\n```\n{^ .example}')
+    assert.equal(html, '<pre><code class="language-js example">x\n</code></pre>')
+  })
+
+  await t.test('attaches to a heading before it', async () => {
+    const html = await toHtml('# Title\n{^ #top}')
+    assert.equal(html, '<h1 id="top">Title</h1>')
+  })
+
+  await t.test('attaches to a list before it', async () => {
+    const html = await toHtml('* a\n* b\n{^ .checklist}')
+    assert.equal(html, '<ul class="checklist">\n<li>a</li>\n<li>b</li>\n</ul>')
+  })
+
+  await t.test('attaches to a block quote before it', async () => {
+    const html = await toHtml('> Quote.\n{^ .pull}')
+    assert.equal(html, '<blockquote class="pull">\n<p>Quote.</p>\n</blockquote>')
+  })
+
+  await t.test('attaches to a table before it', async () => {
+    const html = await gfmToHtml('| a | b |\n| - | - |\n| 1 | 2 |\n{^ .data}')
+    assert.ok(html.startsWith('<table class="data">'))
+    assert.ok(!html.includes('{^'))
+    assert.equal(html.match(/<tr>/g)?.length, 2)
+  })
+
+  await t.test('does not attach to the block after it', async () => {
+    const html = await toHtml('{^ .x}\n# Title')
+    assert.ok(html.includes('<h1>Title</h1>'))
+  })
+
+  await t.test('needs a directly adjacent block', async () => {
+    const file = await processWithOptions('# Title\n\n{^ .x}', {orphans: 'warn'})
+    assert.ok(String(file).includes('<h1>Title</h1>'))
+    assert.equal(file.messages[0].ruleId, 'orphan-attributes')
+    assert.match(file.messages[0].reason, /blank line after block/)
+  })
+
+  await t.test('custom marker', async () => {
+    const html = await toHtmlWithOptions('# Title\n{: .x}', {previousMarker: ':'})
+    assert.equal(html, '<h1 class="x">Title</h1>')
+  })
+
+  await t.test('marker in trailing attributes is reported and dropped', async () => {
+    const file = await processWithOptions('Text {^ .x}', {})
+    assert.equal(String(file), '<p class="x">Text </p>')
+    assert.equal(file.messages[0].ruleId, 'misplaced-marker')
+  })
+})
+
+// =============================================================================
+// Target Modifiers
+// =============================================================================
+
+test('remark-attributes: target modifiers', async (t) => {
+  await t.test('> targets the list item in a tight list', async () => {
+    const html = await toHtml('* a {> .x}\n* b')
+    assert.equal(html, '<ul>\n<li class="x">a </li>\n<li>b</li>\n</ul>')
+  })
+
+  await t.test('> targets the list item in a loose list', async () => {
+    const html = await toHtml('* a {> .x}\n\n* b')
+    assert.equal(html, '<ul>\n<li class="x">\n<p>a </p>\n</li>\n<li>\n<p>b</p>\n</li>\n</ul>')
+  })
+
+  await t.test('>> targets the list', async () => {
+    const html = await toHtml('* a\n* b {>> .x}')
+    assert.equal(html, '<ul class="x">\n<li>a</li>\n<li>b </li>\n</ul>')
+  })
+
+  await t.test('> targets a block quote from its paragraph', async () => {
+    const html = await toHtml('> Quote. {> .pull}')
+    assert.equal(html, '<blockquote class="pull">\n<p>Quote. </p>\n</blockquote>')
+  })
+
+  await t.test('no target above a top-level block', async () => {
+    const file = await processWithOptions('# Title {> .x}', {orphans: 'warn'})
+    assert.equal(String(file), '<h1>Title {> .x}</h1>')
+    assert.match(file.messages[0].reason, /no parent of `heading` to target/)
+  })
+
+  await t.test('modifiers on inline attributes are reported and dropped', async () => {
+    const file = await processWithOptions('A *b*{> .x} c.', {})
+    assert.equal(String(file), '<p>A <em class="x">b</em> c.</p>')
+    assert.equal(file.messages[0].ruleId, 'misplaced-modifier')
+  })
+})
+
+// ============================================================================
+// Default attributes
+// ============================================================================
+
+test('remark-attributes: default attributes', async (t) => {
+  const defaults = [
+    {type: 'link', url: /^https?:\/\//, attributes: {rel: 'noopener', target: '_blank'}},
+    {type: 'heading', depth: 2, attributes: {class: 'section-title'}},
+    {type: 'table', attributes: {class: 'table'}}
+  ]
+
+  await t.test('matches links by url', async () => {
+    const html = await toHtmlWithOptions('[a](https://example.com) [b](/docs)', {defaults})
+    assert.equal(
+      html,
+      '<p><a href="https://example.com" rel="noopener" target="_blank">a</a> <a href="/docs">b</a></p>'
+    )
+  })
+
+  await t.test('a string url matches the start', async () => {
+    const html = await toHtmlWithOptions('[a](/docs/a) [b](/blog)', {
+      defaults: [{type: 'link', url: '/docs/', attributes: {class: 'doc'}}]
+    })
+    assert.equal(html, '<p><a href="/docs/a" class="doc">a</a> <a href="/blog">b</a></p>')
+  })
+
+  await t.test('matches references by the url of their definition', async () => {
+    const html = await toHtmlWithOptions('[a][x] [b][y]\n\n[x]: https://example.com\n[y]: /docs', {
+      defaults: [{type: 'linkReference', url: /^https?:\/\//, attributes: {class: 'external'}}]
+    })
+    assert.equal(html, '<p><a href="https://example.com" class="external">a</a> <a href="/docs">b</a></p>')
+  })
+
+  await t.test('matches headings by depth', async () => {
+    const html = await toHtmlWithOptions('# A\n\n## B {.x}', {defaults})
+    assert.equal(html, '<h1>A</h1>\n<h2 class="section-title x">B </h2>')
+  })
+
+  await t.test('matches tables (remark-gfm)', async () => {
+    const result = await unified()
+      .use(remarkParse)
+      .use(remarkGfm)
+      .use(remarkAttributes, {defaults})
+      .use(remarkRehype)
+      .use(rehypeStringify)
+      .process('| a |\n| - |\n| 1 |\n\n{-.table .plain}\n| a |\n| - |\n| 1 |')
+    assert.ok(String(result).includes('<table class="table">'))
+    assert.ok(String(result).includes('<table class="plain">'))
+  })
+
+  await t.test('authored attributes win by default', () => {
+    const tree = transformWithOptions('[a](https://example.com){target="_self"}', {defaults})
+    const link = tree.children[0].children[0]
+    assert.deepEqual(link.data?.hProperties, {rel: ['noopener'], target: '_self'})
+  })
+
+  await t.test('defaults win with defaultsPrecedence', () => {
+    const tree = transformWithOptions('[a](https://example.com){target="_self"}', {
+      defaults,
+      defaultsPrecedence: 'defaults'
+    })
+    const link = tree.children[0].children[0]
+    assert.equal(link.data?.hProperties?.target, '_blank')
+  })
+
+  await t.test('opts out of a default class', async () => {
+    const html = await toHtmlWithOptions('## B {-.section-title .y}', {defaults})
+    assert.equal(html, '<h2 class="y">B </h2>')
+  })
+
+  await t.test('opts out of a default attribute', async () => {
+    const html = await toHtmlWithOptions('[a](https://example.com){-target}', {defaults})
+    assert.equal(html, '<p><a href="https://example.com" rel="noopener">a</a></p>')
+  })
+
+  await t.test('opt-outs are dropped without a default to remove', async () => {
+    const html = await toHtmlWithOptions('# A {-.section-title}', {defaults})
+    assert.equal(html, '<h1>A </h1>')
+  })
+
+  await t.test('opt-outs are dropped without defaults', async () => {
+    const html = await toHtmlWithOptions('* a {-.item .y}\n* b', {})
+    assert.equal(html, '<ul>\n<li class="y">a </li>\n<li>b</li>\n</ul>')
+  })
+
+  await t.test('opt-outs move with attributes to tight list items', async () => {
+    const html = await toHtmlWithOptions('* a {-.item .y}\n* b', {
+      defaults: [{type: 'listItem', attributes: {class: 'item'}}]
+    })
+    assert.equal(html, '<ul>\n<li class="y">a </li>\n<li class="item">b</li>\n</ul>')
+  })
+
+  await t.test('defaults of several selectors are merged in order', () => {
+    const tree = transformWithOptions('## A', {
+      defaults: [
+        {type: 'heading', attributes: {class: 'a', title: 'one'}},
+        {type: 'heading', depth: 2, attributes: {class: 'b', title: 'two'}}
+      ]
+    })
+    assert.deepEqual(tree.children[0].data?.hProperties, {className: ['a', 'b'], title: 'two'})
+  })
+})
+
+// ============================================================================
+// Rewriting attributes
+// ============================================================================
+
+test('remark-attributes: rewrite', async (t) => {
+  await t.test('maps classes', async () => {
+    const html = await toHtmlWithOptions('# Title {.brand}', {
+      rewrite(attributes) {
+        return {...attributes, class: attributes.class === 'brand' ? 'text-blue-600 font-bold' : attributes.class}
+      }
+    })
+    assert.equal(html, '<h1 class="text-blue-600 font-bold">Title </h1>')
+  })
+
+  await t.test('changes to the copy are used when nothing is returned', async () => {
+    const html = await toHtmlWithOptions('*a*{#x}', {
+      rewrite(attributes) {
+        attributes.id = 'page-' + attributes.id
+      }
+    })
+    assert.equal(html, '<p><em id="page-x">a</em></p>')
+  })
+
+  await t.test('vetoes attachments', async () => {
+    const html = await toHtmlWithOptions('# A {.x}\n\nB. {.y}', {
+      rewrite(_, node) {
+        return node.type === 'heading' ? false : undefined
+      }
+    })
+    assert.equal(html, '<h1>A </h1>\n<p class="y">B. </p>')
+  })
+
+  await t.test('gets the resolved target and its ancestors', () => {
+    const calls = []
+    transformWithOptions('> * a {> .x}\n\n{.y}\n# B', {
+      rewrite(attributes, node, ancestors) {
+        calls.push(ancestors.map((d) => d.type).join('/') + ' > ' + node.type + ' ' + attributes.class)
+      }
+    })
+    assert.deepEqual(calls, ['root > heading y', 'root/blockquote/list > listItem x'])
+  })
+
+  await t.test('rewritten attributes are still checked by safe mode', () => {
+    const tree = transformWithOptions('# A {.x}', {
+      safe: true,
+      rewrite() {
+        return {onclick: 'alert(1)', class: 'x'}
+      }
+    })
+    assert.deepEqual(tree.children[0].data?.hProperties, {className: ['x']})
+  })
+})
+
+// ============================================================================
+// Variables
+// ============================================================================
+
+test('remark-attributes: variables', async (t) => {
+  await t.test('replaces placeholders from options', async () => {
+    const html = await toHtmlWithOptions('# A {data-version="$version" .theme-$theme}', {
+      interpolate: true,
+      variables: {version: '2.1', theme: 'dark'}
+    })
+    assert.equal(html, '<h1 data-version="2.1" class="theme-dark">A </h1>')
+  })
+
+  await t.test('braced placeholders and fields of objects', () => {
+    const tree = transformWithOptions('*a*{title="${site.title}!" data-n=$site.n}', {
+      interpolate: true,
+      variables: {site: {title: 'Docs', n: 3}}
+    })
+    assert.deepEqual(tree.children[0].children[0].data?.hProperties, {title: 'Docs!', dataN: '3'})
+  })
+
+  await t.test('frontmatter wins over options', () => {
+    const processor = unified()
+      .use(remarkParse)
+      .use(remarkAttributesParse)
+      .use(function () {
+        return function (_, file) {
+          file.data.matter = {version: '3.0'}
+        }
+      })
+      .use(remarkAttributesTransform, {interpolate: true, variables: {version: '2.1'}})
+    const tree = processor.runSync(processor.parse('Text. {data-version="$version"}'))
+    assert.equal(tree.children[0].data?.hProperties?.dataVersion, '3.0')
+  })
+
+  await t.test('readme example: frontmatter, options, and a quoted class', async () => {
+    const file = await unified()
+      .use(remarkParse)
+      .use(function () {
+        return function (_, file) {
+          file.data.matter = {version: 2.1}
+        }
+      })
+      .use(remarkAttributes, {interpolate: true, variables: {site: {theme: 'dark', title: 'Docs'}}})
+      .use(remarkRehype)
+      .use(rehypeStringify)
+      .process(
+        '# Changelog {data-version="$version" class="theme-$site.theme"}\n\nPrices in $$. {data-title="${site.title}"}'
+      )
+    assert.equal(
+      String(file),
+      '<h1 data-version="2.1" class="theme-dark">Changelog </h1>\n<p data-title="Docs">Prices in $$. </p>'
+    )
+    assert.equal(file.messages.length, 0)
+  })
+
+  await t.test('$$ is a literal $', () => {
+    const tree = transformWithOptions('Text. {title="$$5 for $item"}', {
+      interpolate: true,
+      variables: {item: 'tea'}
+    })
+    assert.equal(tree.children[0].data?.hProperties?.title, '$5 for tea')
+  })
+
+  await t.test('placeholders can name presets', () => {
+    const tree = transformWithOptions('Text. {.$kind}', {
+      interpolate: true,
+      variables: {kind: 'tip'},
+      presets: {tip: {class: 'callout', role: 'note'}}
+    })
+    assert.deepEqual(tree.children[0].data?.hProperties, {className: ['callout'], role: 'note'})
+  })
+
+  await t.test('reports unknown variables', async () => {
+    const file = await processWithOptions('# Title\n\nText. {title="$missing"}', {interpolate: true})
+    assert.equal(String(file), '<h1>Title</h1>\n<p title="$missing">Text. </p>')
+    assert.equal(file.messages[0].ruleId, 'unknown-variable')
+    assert.match(file.messages[0].reason, /`missing`/)
+    assert.equal(file.messages[0].place?.start.line, 3)
+  })
+
+  await t.test('leaves values alone by default', () => {
+    const tree = transformWithOptions('Text. {title="$version"}', {variables: {version: '1'}})
+    assert.equal(tree.children[0].data?.hProperties?.title, '$version')
+  })
+})
+
+// ============================================================================
+// Document attributes
+// ============================================================================
+
+test('remark-attributes: document attributes', async (t) => {
+  await t.test('attaches the first block to the root', async () => {
+    const file = await processWithOptions('{doc lang=de .print-layout}\n\n# Titel', {document: true})
+    assert.equal(String(file), '<h1>Titel</h1>')
+    assert.deepEqual(file.data.documentAttributes, {lang: 'de', className: ['print-layout']})
+  })
+
+  await t.test('does not attach to the next block', () => {
+    const tree = transformWithOptions('{doc .x}\n# Titel', {document: true})
+    assert.equal(tree.children.length, 1)
+    assert.equal(tree.children[0].data?.hProperties, undefined)
+    assert.deepEqual(tree.data?.hProperties, {className: ['x']})
+  })
+
+  await t.test('only the first block', () => {
+    const tree = transformWithOptions('Intro.\n\n{doc .x}\n# Titel', {document: true})
+    assert.equal(tree.data?.hProperties, undefined)
+  })
+
+  await t.test('uses a custom key', async () => {
+    const file = await processWithOptions('{page .x}\n\nText.', {document: {key: 'page'}})
+    assert.deepEqual(file.data.documentAttributes, {className: ['x']})
+  })
+
+  await t.test('wraps the document', async () => {
+    const html = await toHtmlWithOptions('{doc lang=de}\n\n# Titel\n\nText.', {
+      document: {wrapper: 'article'}
+    })
+    assert.equal(html, '<article lang="de"><h1>Titel</h1><p>Text.</p></article>')
+  })
+
+  await t.test('is off by default', async () => {
+    const html = await toHtmlWithOptions('{doc .x}\n# Titel', {})
+    assert.equal(html, '<h1 doc="" class="x">Titel</h1>')
+  })
+})
+
+// ============================================================================
+// Strip
+// ============================================================================
+
+/**
+ * Parse markdown, strip attribute syntax, and serialize it
+ * @param {string} markdown
+ * @param {import('./lib/strip.js').StripOptions} [options]
+ * @returns {Promise<string>}
+ */
+async function strip(markdown, options) {
+  const result = await unified()
+    .use(remarkParse)
+    .use(remarkGfm)
+    .use(remarkAttributesParse)
+    .use(remarkAttributesStrip, options)
+    .use(remarkStringify)
+    .process(markdown)
+
+  return String(result)
+}
+
+test('remark-attributes: strip', async (t) => {
+  const cases = {
+    heading: ['# Intro {#intro .x}', '# Intro\n'],
+    paragraph: ['Text. {.note}', 'Text.\n'],
+    inline: ['*a*{.b} c.', '*a* c.\n'],
+    'separate line': ['{.lead}\n# Title', '# Title\n'],
+    'code block': ['```js {.x}\ncode\n```', '```js\ncode\n```\n'],
+    'bracketed span': ['A [small caps]{.sc} word.', 'A small caps word.\n'],
+    definition: ['[a]\n\n[a]: https://example.com {target="_blank"}', '[a]\n\n[a]: https://example.com\n'],
+    'table row': ['| a | b |\n| - | - |\n| 1 | 2 | {.total}', '| a | b |\n| - | - |\n| 1 | 2 |\n'],
+    'line after table': ['| a | b |\n| - | - |\n| 1 | 2 |\n{^ .x}', '| a | b |\n| - | - |\n| 1 | 2 |\n'],
+    'thematic break': ['Text.\n\n{.fancy}\n---\n\nMore.', 'Text.\n\n***\n\nMore.\n']
+  }
+
+  for (const [name, [input, expected]] of Object.entries(cases)) {
+    await t.test(name, async () => {
+      assert.equal(await strip(input), expected)
+    })
+  }
+
+  await t.test('does not attach anything', () => {
+    const processor = unified().use(remarkParse).use(remarkAttributesParse).use(remarkAttributesStrip)
+    const tree = processor.runSync(processor.parse('# Intro {#intro}'))
+    assert.equal(tree.children[0].data, undefined)
+  })
+
+  await t.test('keeps heading ids as anchors', async () => {
+    assert.equal(await strip('# Intro {#intro .x}', {anchors: true}), '# <a id="intro"></a>Intro\n')
+    assert.equal(await strip('{#top}\n# Title', {anchors: true}), '# <a id="top"></a>Title\n')
+  })
+
+  await t.test('anchors are only for headings', async () => {
+    assert.equal(await strip('Text. {#p}', {anchors: true}), 'Text.\n')
+  })
+})
+
 console.log('All remark-attributes tests defined')